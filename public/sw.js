@@ -0,0 +1,70 @@
+/**
+ * Service worker: keeps the lecture usable with bad or no Wi-Fi.
+ *
+ * - Python runtime assets (Pyodide core, package wheels, datasets — from the CDN or
+ *   the self-hosted public/pyodide copy) are immutable per version: cache-first.
+ * - The app shell (index.html, JS/CSS bundles) is network-first with a cache
+ *   fallback, so deploys show up immediately but the page still opens offline.
+ *
+ * Registered from src/main.jsx in production builds only.
+ */
+
+// Bump when the caching strategy changes; old caches are dropped on activate
+const VERSION = "v1";
+const SHELL_CACHE = `ch05-shell-${VERSION}`;
+const RUNTIME_CACHE = `ch05-runtime-${VERSION}`;
+
+const RUNTIME_ASSET = /\/pyodide\/|\.whl$|\.wasm$|\.zip$|\/datasets\//;
+
+self.addEventListener("install", () => self.skipWaiting());
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const keep = new Set([SHELL_CACHE, RUNTIME_CACHE]);
+      for (const key of await caches.keys()) {
+        if (!keep.has(key)) await caches.delete(key);
+      }
+      await self.clients.claim();
+    })()
+  );
+});
+
+async function cacheFirst(request) {
+  const cache = await caches.open(RUNTIME_CACHE);
+  const hit = await cache.match(request);
+  if (hit) return hit;
+  const res = await fetch(request);
+  // Opaque (no-CORS) responses can't be checked for errors, so don't keep them
+  if (res.ok) cache.put(request, res.clone());
+  return res;
+}
+
+async function networkFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const res = await fetch(request);
+    if (res.ok) cache.put(request, res.clone());
+    return res;
+  } catch (err) {
+    const hit = await cache.match(request, { ignoreSearch: request.mode === "navigate" });
+    if (hit) return hit;
+    // Deep links into the app all render the same index.html
+    if (request.mode === "navigate") {
+      const shell = await cache.match(self.registration.scope);
+      if (shell) return shell;
+    }
+    throw err;
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (RUNTIME_ASSET.test(url.pathname)) {
+    event.respondWith(cacheFirst(request));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request));
+  }
+});
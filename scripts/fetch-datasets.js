@@ -0,0 +1,36 @@
+/**
+ * Download the registered example datasets (src/datasets.js) into public/datasets/
+ * so they ship with the app and load without network access.
+ *
+ *   npm run fetch:datasets
+ *
+ * The CSVs are committed, so builds never need the network; this adds the files of
+ * newly registered datasets. Existing files are kept; delete one to refresh it.
+ */
+import { access, mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { DATASETS, SEABORN_DATA_URL, datasetFile } from "../src/datasets.js";
+
+const OUT_DIR = path.resolve("public/datasets");
+const TIMEOUT_MS = 30_000;
+
+const exists = (file) => access(file).then(() => true, () => false);
+
+async function main() {
+  await mkdir(OUT_DIR, { recursive: true });
+  for (const { name } of DATASETS) {
+    const file = path.join(OUT_DIR, datasetFile(name));
+    if (await exists(file)) continue;
+    const url = SEABORN_DATA_URL + datasetFile(name);
+    const res = await fetch(url, { signal: AbortSignal.timeout(TIMEOUT_MS) });
+    if (!res.ok) throw new Error(`GET ${url} failed: ${res.status} ${res.statusText}`);
+    await writeFile(file, await res.text());
+    console.log(`  dataset  ${datasetFile(name)}`);
+  }
+  console.log(`Datasets are ready in ${path.relative(process.cwd(), OUT_DIR)}/`);
+}
+
+main().catch((err) => {
+  console.error(`Could not download the example datasets: ${err.message || err}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,85 @@
+/**
+ * Download a self-hosted copy of the Python runtime into public/pyodide/ so the
+ * chapter works without the jsDelivr CDN or PyPI (and, once the service worker has
+ * cached it, fully offline).
+ *
+ *   npm run fetch:pyodide
+ *   VITE_PYODIDE_BASE_URL=pyodide/ \
+ *   VITE_SEABORN_WHEEL_URL=pyodide/seaborn-0.13.2-py3-none-any.whl npm run build
+ *
+ * Fetches the Pyodide core files, the packages the lecture uses (plus their
+ * dependencies, resolved from pyodide-lock.json) and the seaborn wheel. Files that
+ * already exist are skipped, so re-running only fills in what's missing.
+ */
+import { access, mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+// Keep in sync with PYODIDE_VERSION in src/pyRuntime.js
+const PYODIDE_VERSION = "0.25.1";
+const SEABORN_VERSION = "0.13.2";
+
+const CDN_URL = `https://cdn.jsdelivr.net/pyodide/v${PYODIDE_VERSION}/full/`;
+const OUT_DIR = path.resolve("public/pyodide");
+
+const CORE_FILES = ["pyodide.js", "pyodide.asm.js", "pyodide.asm.wasm", "python_stdlib.zip", "pyodide-lock.json"];
+// openpyxl: reading uploaded .xlsx files
+const PACKAGES = ["numpy", "matplotlib", "pandas", "micropip", "openpyxl"];
+
+const exists = (file) => access(file).then(() => true, () => false);
+
+async function download(url, file) {
+  if (await exists(file)) return false;
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`GET ${url} failed: ${res.status} ${res.statusText}`);
+  await writeFile(file, Buffer.from(await res.arrayBuffer()));
+  return true;
+}
+
+// Package names plus everything they (transitively) depend on
+function packageClosure(lock, names) {
+  const seen = new Set();
+  const visit = (name) => {
+    const key = name.toLowerCase();
+    if (seen.has(key)) return;
+    const pkg = lock.packages[key];
+    if (!pkg) throw new Error(`Package "${name}" is not in pyodide-lock.json`);
+    seen.add(key);
+    pkg.depends.forEach(visit);
+  };
+  names.forEach(visit);
+  return [...seen].map((key) => lock.packages[key]);
+}
+
+async function seabornWheelUrl() {
+  const res = await fetch(`https://pypi.org/pypi/seaborn/${SEABORN_VERSION}/json`);
+  if (!res.ok) throw new Error(`PyPI lookup for seaborn ${SEABORN_VERSION} failed: ${res.status}`);
+  const { urls } = await res.json();
+  const wheel = urls.find((u) => u.packagetype === "bdist_wheel" && u.filename.endsWith("py3-none-any.whl"));
+  if (!wheel) throw new Error(`No pure-Python wheel for seaborn ${SEABORN_VERSION}`);
+  return wheel;
+}
+
+async function main() {
+  await mkdir(OUT_DIR, { recursive: true });
+
+  for (const name of CORE_FILES) {
+    if (await download(CDN_URL + name, path.join(OUT_DIR, name))) console.log(`  core     ${name}`);
+  }
+
+  const lock = JSON.parse(await readFile(path.join(OUT_DIR, "pyodide-lock.json"), "utf8"));
+  for (const pkg of packageClosure(lock, PACKAGES)) {
+    if (await download(CDN_URL + pkg.file_name, path.join(OUT_DIR, pkg.file_name))) {
+      console.log(`  package  ${pkg.file_name}`);
+    }
+  }
+
+  const wheel = await seabornWheelUrl();
+  if (await download(wheel.url, path.join(OUT_DIR, wheel.filename))) console.log(`  wheel    ${wheel.filename}`);
+
+  console.log(`Pyodide ${PYODIDE_VERSION} is ready in ${path.relative(process.cwd(), OUT_DIR)}/`);
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,2788 @@
+import React, { createContext, useCallback, useContext, useEffect, useId, useLayoutEffect, useMemo, useRef, useState } from "react";
+import './App.css'
+import './index.css'
+import DOMPurify from "dompurify";
+import InteractiveChart from "./InteractiveChart";
+import RouteLink from "./RouteLink";
+import { groupByHeading } from "./chapterFormat";
+import { chapterSlides, openPresentationChannel, slideFromHash, slideHash } from "./presentation";
+import {
+  agenda,
+  enterSection,
+  formatClock,
+  initialTimer,
+  isNewAlert,
+  lectureLength,
+  pauseTimer,
+  startTimer,
+  timeLog,
+  timeLogCsv,
+  timerStatus,
+} from "./lectureTimer";
+import { routeHref } from "./router";
+import { THEMES, figureStyle, setTheme, useTheme } from "./theme";
+import { FIGURE_META_MIME, VEGA_LITE_MIME, cellText, figureAltText, seriesCaption } from "./figureText";
+import { paramDefaults, withParams } from "./params";
+import { chapterCells, chapterNotebook, chapterScript } from "./notebook";
+import { codeStorageKey } from "./codeStorage";
+import { clearCachedOutputs, findCachedOutputs, outputKey, outputSnapshot, storeCachedOutputs } from "./outputCache";
+import { DEFAULT_RUN_TIMEOUT_S, loadRuntime, mountUpload, restoreUpload, runPython, unmountUpload } from "./pyRuntime";
+import {
+  MAX_UPLOAD_BYTES,
+  UPLOAD_ACCEPT,
+  deleteStoredUpload,
+  isReservedVariable,
+  loadStoredUploads,
+  storeUpload,
+  uploadFormat,
+  uploadSnippet,
+  uploadVariable,
+} from "./uploads";
+import {
+  expectedAnswer,
+  isAnswerChoice,
+  isCorrect,
+  orderMatches,
+  questionPoints,
+  questionType,
+  quizOrder,
+  quizResults,
+  scoreQuiz,
+} from "./quiz";
+import { chapterCompletion, emptyProgress, itemKey, percent, progressCsv, progressReport, sectionCompletion } from "./progress";
+/**
+ * Lecture page for one chapter (Senior University Level), rendered from a parsed
+ * chapter file (src/chapters/*.md, see chapterFormat.js).
+ * Runnable Python examples with Pyodide + Matplotlib/Seaborn in-browser.
+ *
+ * Update (Clipboard fix):
+ * - Clipboard API can be blocked by Permissions Policy in sandboxed iframes.
+ * - Implemented robust copy utility with fallbacks (navigator.clipboard → execCommand → selection).
+ * - Copy button now degrades gracefully and shows inline diagnostics.
+ * - Added a small diagnostics panel (optional) to test copy paths.
+ */
+
+// -----------------------------
+// Utilities
+// -----------------------------
+const classNames = (...xs) => xs.filter(Boolean).join(" ");
+
+// Robust copy utility with fallbacks
+async function safeCopyText(text) {
+  // Try modern async clipboard if available & likely allowed
+  if (typeof navigator !== "undefined" && navigator.clipboard && window.isSecureContext) {
+    try {
+      await navigator.clipboard.writeText(text);
+      return { ok: true, method: "navigator.clipboard" };
+    } catch (err) {
+      // Fall through to legacy fallback below
+    }
+  }
+  // Fallback: hidden textarea + execCommand('copy')
+  try {
+    const ta = document.createElement("textarea");
+    ta.value = text;
+    // Avoid scrolling to bottom
+    ta.style.position = "fixed";
+    ta.style.top = "-1000px";
+    ta.style.left = "-1000px";
+    ta.setAttribute("readonly", "");
+    document.body.appendChild(ta);
+    ta.select();
+    ta.setSelectionRange(0, ta.value.length);
+    const ok = document.execCommand && document.execCommand("copy");
+    document.body.removeChild(ta);
+    if (ok) return { ok: true, method: "execCommand" };
+  } catch (err) {
+    // Fall through to final fallback
+  }
+  // Final fallback: manual selection (best-effort)
+  try {
+    const sel = window.getSelection();
+    const range = document.createRange();
+    const tmp = document.createElement("span");
+    tmp.textContent = text;
+    document.body.appendChild(tmp);
+    range.selectNodeContents(tmp);
+    sel.removeAllRanges();
+    sel.addRange(range);
+    const ok = document.execCommand && document.execCommand("copy");
+    sel.removeAllRanges();
+    document.body.removeChild(tmp);
+    if (ok) return { ok: true, method: "selection" };
+  } catch {}
+  return { ok: false, method: "blocked" };
+}
+
+// localStorage can throw in private mode / sandboxed iframes; treat that as "no storage"
+function readStored(key) {
+  try {
+    return window.localStorage.getItem(key);
+  } catch {
+    return null;
+  }
+}
+
+function writeStored(key, value) {
+  try {
+    if (value === null) window.localStorage.removeItem(key);
+    else window.localStorage.setItem(key, value);
+  } catch {
+    // Storage unavailable or full: edits simply won't survive a reload
+  }
+}
+
+// Escape closes a popover menu and returns focus to the button that opened it
+function useEscapeToClose(open, setOpen, buttonRef) {
+  useEffect(() => {
+    if (!open) return;
+    const onKey = (e) => {
+      if (e.key !== "Escape") return;
+      setOpen(false);
+      buttonRef.current?.focus();
+    };
+    document.addEventListener("keydown", onKey);
+    return () => document.removeEventListener("keydown", onKey);
+  }, [open, setOpen, buttonRef]);
+}
+
+// -----------------------------
+// Code Runner Hook (Pyodide lives in a Web Worker, see pyRuntime.js)
+// -----------------------------
+function usePyRunner() {
+  const [status, setStatus] = useState("idle"); // idle | loading | ready | queued | running | error | interrupted | timeout
+  const [errMsg, setErrMsg] = useState("");
+  const [errInfo, setErrInfo] = useState(null); // structured Python traceback, when there is one
+  const [progress, setProgress] = useState(null); // { current, done, total } while packages download
+  const readyRef = useRef(false);
+  const abortRef = useRef(null);
+
+  const ensureReady = async () => {
+    if (readyRef.current) return;
+    setStatus("loading");
+    setErrMsg("");
+    try {
+      await loadRuntime();
+      readyRef.current = true;
+      setStatus("ready");
+    } catch (e) {
+      console.error(e);
+      setErrMsg(String(e?.message || e));
+      setStatus("error");
+      throw e;
+    }
+  };
+
+  const run = async (code, { timeout, figure, variables, checks, onOutput } = {}) => {
+    try {
+      await ensureReady();
+    } catch (e) {
+      return { outputs: [], error: String(e?.message || e) };
+    }
+    setStatus("queued");
+    setErrMsg("");
+    setErrInfo(null);
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const { status: runStatus, ...result } = await runPython(code, {
+      timeout,
+      figure,
+      variables,
+      checks,
+      signal: controller.signal,
+      onStart: () => setStatus("running"),
+      onProgress: (p) => setProgress(p.done < p.total ? p : null),
+      onOutput,
+    });
+    abortRef.current = null;
+    setProgress(null);
+    // A stopped run may have restarted the worker; the next run reloads it
+    if (runStatus !== "ok" && runStatus !== "error") readyRef.current = false;
+    if (result.error) {
+      if (runStatus === "error") console.error(result.error);
+      setErrMsg(result.error);
+      setErrInfo(result.traceback || null);
+    }
+    setStatus(runStatus === "ok" ? "ready" : runStatus);
+    return result;
+  };
+
+  const stop = useCallback(() => abortRef.current?.abort(), []);
+
+  return { status, errMsg, errInfo, progress, ensureReady, run, stop };
+}
+
+const ProgressBar = ({ label, percent }) => (
+  <div
+    className="flex w-40 flex-col gap-1"
+    role="progressbar"
+    aria-label={label}
+    aria-valuemin={0}
+    aria-valuemax={100}
+    aria-valuenow={percent ?? undefined}
+  >
+    <span className="truncate text-xs text-amber-100">{label}</span>
+    <div className="h-1.5 overflow-hidden rounded bg-gray-700">
+      {percent === null ? (
+        <div className="h-full w-1/3 animate-pulse rounded bg-amber-500" />
+      ) : (
+        <div className="h-full rounded bg-amber-500 transition-all" style={{ width: `${percent}%` }} />
+      )}
+    </div>
+  </div>
+);
+
+// Runtime / package download progress while loading, otherwise the run status badge
+const RuntimeStatus = ({ status, progress }) => {
+  if (progress) {
+    const percent = Math.round((progress.done / progress.total) * 100);
+    return (
+      <ProgressBar
+        label={`Loading ${progress.current} (${progress.done + 1}/${progress.total}) · ${percent}%`}
+        percent={percent}
+      />
+    );
+  }
+  if (status === "loading") return <ProgressBar label="Loading Python runtime…" percent={null} />;
+  let label = "";
+  let style = "";
+  switch (status) {
+    case "idle":
+      label = "Idle"; style = "bg-gray-700 text-gray-100"; break;
+    case "ready":
+      label = "Ready"; style = "bg-emerald-700 text-emerald-100"; break;
+    case "queued":
+      label = "Queued"; style = "bg-sky-800 text-sky-100"; break;
+    case "running":
+      label = "Running"; style = "bg-indigo-700 text-indigo-100"; break;
+    case "error":
+      label = "Error"; style = "bg-rose-700 text-rose-100"; break;
+    case "interrupted":
+      label = "Interrupted"; style = "bg-orange-700 text-orange-100"; break;
+    case "timeout":
+      label = "Timed out"; style = "bg-orange-800 text-orange-100"; break;
+    default:
+      label = status; style = "bg-gray-700 text-gray-100";
+  }
+  return (
+    <span className={classNames("rounded-md px-2 py-1 text-xs", style)}>{label}</span>
+  );
+};
+
+// Clipboard-aware CopyButton using safeCopyText()
+const CopyButton = ({ text, label = "Copy" }) => {
+  const [state, setState] = useState({ ok: false, method: null, error: null });
+  const [busy, setBusy] = useState(false);
+
+  const handleCopy = async () => {
+    setBusy(true);
+    try {
+      const res = await safeCopyText(text);
+      if (res.ok) setState({ ok: true, method: res.method, error: null });
+      else setState({ ok: false, method: res.method, error: "Clipboard blocked by policy" });
+      setTimeout(() => setState((s) => ({ ...s, ok: false })), 1200);
+    } catch (e) {
+      setState({ ok: false, method: null, error: String(e?.message || e) });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="inline-flex items-center gap-2">
+      <button
+        onClick={handleCopy}
+        disabled={busy}
+        className={classNames(
+          "inline-flex items-center gap-2 rounded-lg px-3 py-1.5 text-sm",
+          state.ok ? "bg-emerald-700 text-white" : "bg-gray-700 text-gray-100 hover:bg-gray-600",
+          busy && "opacity-70"
+        )}
+        title="Copy to clipboard"
+      >
+        <span className="i-lucide-clipboard mr-1">📋</span>
+        {state.ok ? `Copied (${state.method})` : label}
+      </button>
+      {state.error && (
+        <span className="text-[10px] text-amber-300">{state.error}</span>
+      )}
+    </div>
+  );
+};
+
+// "#" link to an element on the page; clicking it also copies the full URL to share
+const AnchorLink = ({ id, what }) => {
+  const [copied, setCopied] = useState(false);
+  const onClick = async () => {
+    const { ok } = await safeCopyText(`${window.location.origin}${window.location.pathname}#${id}`);
+    setCopied(ok);
+    if (ok) setTimeout(() => setCopied(false), 1200);
+  };
+  return (
+    <a
+      href={`#${id}`}
+      onClick={onClick}
+      className="rounded-md px-2 py-1 text-xs text-gray-400 hover:bg-gray-700 hover:text-gray-100"
+      title={`Link to this ${what} (click to copy)`}
+    >
+      {copied ? "Link copied" : "🔗"}
+    </a>
+  );
+};
+
+// Anchor id of a code block; its figures are `${id}-figure-${n}`
+const codeAnchor = (sectionId, index) => `${sectionId}-code-${index + 1}`;
+
+const Spinner = () => (
+  <svg className="h-4 w-4 animate-spin" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8v4a4 4 0 00-4 4H4z"></path>
+  </svg>
+);
+
+// -----------------------------
+// Code Editor
+// -----------------------------
+const INDENT = "    ";
+
+// Per-block edited source, persisted under `key` (null key = not persisted)
+function useEditableCode(key, original) {
+  const [source, setSource] = useState(() => (key && readStored(key)) ?? original);
+  const update = (next) => {
+    setSource(next);
+    if (key) writeStored(key, next === original ? null : next);
+  };
+  const reset = () => update(original);
+  return { source, setSource: update, reset, modified: source !== original };
+}
+
+// Start offset of the line containing `pos`
+const lineStart = (text, pos) => text.lastIndexOf("\n", pos - 1) + 1;
+
+const CodeEditor = ({ value, onChange, onRun, errorLine, describedBy }) => {
+  const taRef = useRef(null);
+  const pendingSel = useRef(null);
+  // Tab indents; after Escape the next Tab moves focus on instead (no keyboard trap)
+  const tabReleased = useRef(false);
+  const lineCount = value.split("\n").length;
+
+  // Restore the caret after programmatic edits (Tab, auto-indent)
+  useLayoutEffect(() => {
+    if (pendingSel.current && taRef.current) {
+      const [a, b] = pendingSel.current;
+      taRef.current.setSelectionRange(a, b);
+      pendingSel.current = null;
+    }
+  }, [value]);
+
+  const edit = (next, selStart, selEnd = selStart) => {
+    pendingSel.current = [selStart, selEnd];
+    onChange(next);
+  };
+
+  const onKeyDown = (e) => {
+    const ta = e.currentTarget;
+    const { selectionStart: start, selectionEnd: end } = ta;
+    const released = tabReleased.current;
+    tabReleased.current = e.key === "Escape" || (released && e.key === "Shift");
+
+    if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      onRun?.();
+      return;
+    }
+
+    if (e.key === "Tab" && !released) {
+      e.preventDefault();
+      const from = lineStart(value, start);
+      const multiLine = value.slice(start, end).includes("\n");
+      if (!e.shiftKey && !multiLine) {
+        edit(value.slice(0, start) + INDENT + value.slice(end), start + INDENT.length);
+        return;
+      }
+      // Indent / dedent every line touched by the selection
+      const block = value.slice(from, end);
+      const lines = block.split("\n");
+      let firstDelta = 0;
+      const changed = lines.map((ln, i) => {
+        if (!e.shiftKey) {
+          if (i === 0) firstDelta = INDENT.length;
+          return INDENT + ln;
+        }
+        const strip = ln.match(/^ {1,4}|^\t/)?.[0].length || 0;
+        if (i === 0) firstDelta = -strip;
+        return ln.slice(strip);
+      });
+      const replaced = changed.join("\n");
+      edit(
+        value.slice(0, from) + replaced + value.slice(end),
+        Math.max(from, start + firstDelta),
+        end + (replaced.length - block.length)
+      );
+      return;
+    }
+
+    if (e.key === "Enter" && !e.shiftKey && start === end) {
+      e.preventDefault();
+      const line = value.slice(lineStart(value, start), start);
+      let indent = line.match(/^\s*/)[0];
+      if (/:\s*(#.*)?$/.test(line)) indent += INDENT;
+      const ins = "\n" + indent;
+      edit(value.slice(0, start) + ins + value.slice(end), start + ins.length);
+    }
+  };
+
+  return (
+    <div className="relative flex overflow-auto rounded-lg bg-black/70 font-mono text-sm leading-relaxed focus-within:ring-2 focus-within:ring-indigo-400/70">
+      {errorLine && (
+        // Band behind the failing line: 1rem top padding + (line - 1) × 1.625em line height
+        <div
+          aria-hidden="true"
+          className="pointer-events-none absolute inset-x-0 bg-rose-600/25"
+          style={{ top: `calc(1rem + ${(errorLine - 1) * 1.625}em)`, height: "1.625em" }}
+        />
+      )}
+      <div
+        aria-hidden="true"
+        className="select-none border-r border-white/10 py-4 pl-3 pr-2 text-right text-gray-500"
+      >
+        {Array.from({ length: lineCount }, (_, i) => (
+          <div key={i} className={classNames(errorLine === i + 1 && "font-bold text-rose-300")}>{i + 1}</div>
+        ))}
+      </div>
+      <textarea
+        ref={taRef}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        onKeyDown={onKeyDown}
+        rows={lineCount}
+        wrap="off"
+        spellCheck={false}
+        autoCapitalize="off"
+        autoComplete="off"
+        aria-label="Python code editor"
+        aria-describedby={describedBy}
+        className="min-w-0 flex-1 resize-none overflow-x-auto overflow-y-hidden whitespace-pre bg-transparent px-3 py-4 text-gray-100 outline-none"
+      />
+    </div>
+  );
+};
+
+// -----------------------------
+// Output rendering
+// -----------------------------
+
+// Merge consecutive chunks of the same stream so they render as one block
+const appendOutput = (list, item) => {
+  const last = list[list.length - 1];
+  if (item.type === "stream" && last?.type === "stream" && last.name === item.name) {
+    return [...list.slice(0, -1), { ...last, text: last.text + item.text }];
+  }
+  return [...list, item];
+};
+
+// Only rules scoped to a pandas Styler table (every selector starting with its #T_…
+// id) survive in a <style>, so output can't restyle the rest of the page
+const STYLER_SELECTOR = /^#T_[\w-]+(?![\w-])/;
+
+function scopedStyles(css) {
+  const sheet = new CSSStyleSheet();
+  sheet.replaceSync(css);
+  return [...sheet.cssRules]
+    .filter((rule) => rule instanceof CSSStyleRule && rule.selectorText.split(",").every((s) => STYLER_SELECTOR.test(s.trim())))
+    .map((rule) => rule.cssText)
+    .join("\n");
+}
+
+// Rich HTML comes from arbitrary Python objects, so never inject it unsanitized.
+// FORCE_BODY keeps a leading <style> block (pandas Styler output starts with one).
+const sanitizeHtml = (html) => {
+  const body = DOMPurify.sanitize(html, { FORCE_BODY: true, RETURN_DOM: true });
+  body.querySelectorAll("style").forEach((style) => {
+    style.textContent = scopedStyles(style.textContent);
+  });
+  return body.innerHTML;
+};
+
+const isImageBundle = (data) => !data["text/html"] && (data["image/svg+xml"] || data["image/png"]);
+
+// -----------------------------
+// Figures
+// -----------------------------
+const FIGURE_FORMATS = ["png", "svg"];
+const FIGURE_DPIS = [72, 100, 150, 200, 300];
+const DEFAULT_FIGURE_SETTINGS = { format: "png", dpi: 100, interactive: false };
+const FIGURE_SETTINGS_KEY = "ch05:figure-settings";
+
+const FigureSettingsContext = createContext(DEFAULT_FIGURE_SETTINGS);
+
+// Page-wide figure format/DPI (e.g. SVG or 200 dpi for crisp projector output), and
+// whether figures that have an interactive version start out showing it
+function useFigureSettings() {
+  const [settings, setSettings] = useState(() => {
+    try {
+      return { ...DEFAULT_FIGURE_SETTINGS, ...JSON.parse(readStored(FIGURE_SETTINGS_KEY) || "{}") };
+    } catch {
+      return DEFAULT_FIGURE_SETTINGS;
+    }
+  });
+  const update = (patch) => {
+    const next = { ...settings, ...patch };
+    setSettings(next);
+    writeStored(FIGURE_SETTINGS_KEY, JSON.stringify(next));
+  };
+  return [settings, update];
+}
+
+const FigureSettingsControl = ({ settings, onChange }) => (
+  <div className="flex items-center gap-1 text-xs text-gray-300" title="Format and resolution of figures rendered by Run">
+    <span>Figures</span>
+    <select
+      value={settings.format}
+      onChange={(e) => onChange({ format: e.target.value })}
+      className="rounded-md bg-gray-800 px-1 py-1 text-gray-100"
+      aria-label="Figure format"
+    >
+      {FIGURE_FORMATS.map((f) => <option key={f} value={f}>{f.toUpperCase()}</option>)}
+    </select>
+    <select
+      value={settings.dpi}
+      onChange={(e) => onChange({ dpi: Number(e.target.value) })}
+      className="rounded-md bg-gray-800 px-1 py-1 text-gray-100"
+      aria-label="Figure DPI"
+    >
+      {FIGURE_DPIS.map((d) => <option key={d} value={d}>{d} dpi</option>)}
+    </select>
+    <label className="flex items-center gap-1" title="Show line, scatter, bar and histogram figures as interactive charts">
+      <input type="checkbox" checked={settings.interactive} onChange={(e) => onChange({ interactive: e.target.checked })} />
+      Interactive
+    </label>
+  </div>
+);
+
+// Page theme (see theme.js); figures already on the page keep their colors until re-rendered
+const ThemeControl = () => {
+  const theme = useTheme();
+  const registry = useContext(RunRegistryContext);
+  const stale = registry?.staleFigures(theme);
+  return (
+    <div className="flex items-center gap-1 text-xs text-gray-300">
+      <select
+        value={theme}
+        onChange={(e) => setTheme(e.target.value)}
+        className="rounded-md bg-gray-800 px-1 py-1 text-gray-100"
+        aria-label="Theme"
+        title="Colors of the page and of new figures"
+      >
+        {THEMES.map((t) => <option key={t.id} value={t.id}>{t.label}</option>)}
+      </select>
+      {stale && (
+        <button
+          onClick={() => registry.runBlocks("all")}
+          disabled={registry.busyScope !== null}
+          className="rounded-md bg-gray-700 px-2 py-1 text-gray-100 hover:bg-gray-600"
+          title="Run all code blocks again so their figures use this theme"
+        >
+          Re-render figures
+        </button>
+      )}
+    </div>
+  );
+};
+
+const figureBlob = (data) => {
+  if (data["image/svg+xml"]) return new Blob([data["image/svg+xml"]], { type: "image/svg+xml" });
+  const bytes = Uint8Array.from(atob(data["image/png"]), (c) => c.charCodeAt(0));
+  return new Blob([bytes], { type: "image/png" });
+};
+
+const figureSrc = (data) =>
+  data["image/svg+xml"]
+    ? `data:image/svg+xml;charset=utf-8,${encodeURIComponent(data["image/svg+xml"])}`
+    : `data:image/png;base64,${data["image/png"]}`;
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Browsers refuse to navigate a new tab to a data: URL, so open a blob URL instead
+function openBlob(blob) {
+  const url = URL.createObjectURL(blob);
+  window.open(url, "_blank", "noopener");
+  setTimeout(() => URL.revokeObjectURL(url), 60_000);
+}
+
+// The data behind a figure (see figureText.js), for readers who can't see the plot
+const FigureData = ({ meta }) => {
+  const tables = meta.axes.flatMap((plot, p) => plot.series.map((series, i) => ({ key: `${p}-${i}`, caption: seriesCaption(meta, p, series), series })));
+  if (!tables.length) return null;
+  return (
+    <details className="mt-1 text-xs text-gray-300">
+      <summary className="cursor-pointer select-none text-gray-400 hover:text-gray-200">View data as table</summary>
+      {tables.map(({ key, caption, series }) => (
+        // Focusable so the table can be scrolled from the keyboard
+        <div key={key} tabIndex={0} role="region" aria-label={caption} className="mt-2 max-h-72 overflow-auto rounded-md bg-gray-900/70 p-2">
+          <table className="border-collapse text-right">
+            <caption className="mb-1 text-left text-gray-300">
+              {caption}
+              {series.count > series.rows.length && ` (first ${series.rows.length} of ${series.count})`}
+            </caption>
+            <thead>
+              <tr>
+                {series.columns.map((c, j) => (
+                  <th key={j} scope="col" className="border border-white/10 bg-gray-800 px-2 py-1">{c}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {series.rows.map((row, j) => (
+                <tr key={j}>
+                  {row.map((v, k) =>
+                    k === 0 ? (
+                      <th key={k} scope="row" className="border border-white/10 px-2 py-1 font-normal">{cellText(v)}</th>
+                    ) : (
+                      <td key={k} className="border border-white/10 px-2 py-1">{cellText(v)}</td>
+                    )
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ))}
+    </details>
+  );
+};
+
+const FigureOutput = ({ data, figure, name = "figure", anchor }) => {
+  const isSvg = Boolean(data["image/svg+xml"]);
+  const ext = isSvg ? "svg" : "png";
+  const id = anchor ? `${anchor}-figure-${figure}` : undefined;
+  const meta = data[FIGURE_META_MIME];
+  const alt = meta ? figureAltText(meta) : `Figure ${figure} (no description available)`;
+  const spec = data[VEGA_LITE_MIME];
+  const settings = useContext(FigureSettingsContext);
+  // null follows the page setting; a chart that fails to load falls back to the image
+  const [interactive, setInteractive] = useState(null);
+  const [chartError, setChartError] = useState(null);
+  const canSwitch = Boolean(spec) && !chartError;
+  const showChart = canSwitch && (interactive ?? settings.interactive);
+  return (
+    <figure id={id} className="mt-2 scroll-mt-24">
+      {showChart ? (
+        <InteractiveChart spec={spec} label={alt} onError={setChartError} />
+      ) : (
+        <img src={figureSrc(data)} alt={alt} className={classNames("w-full rounded-md border border-white/10", isSvg && "bg-figure")} />
+      )}
+      {meta && <FigureData meta={meta} />}
+      <figcaption className="mt-1 flex justify-end gap-2">
+        {id && <AnchorLink id={id} what="figure" />}
+        {canSwitch && (
+          <button
+            onClick={() => setInteractive(!showChart)}
+            className="rounded-md bg-gray-700 px-2 py-1 text-[11px] text-gray-100 hover:bg-gray-600"
+            title={showChart ? "Show the rendered image" : "Hover for values, drag or scroll to zoom (double-click resets), click the legend to highlight a series"}
+          >
+            {showChart ? "Static image" : "Interactive"}
+          </button>
+        )}
+        <button
+          onClick={() => downloadBlob(figureBlob(data), `${name}-${figure}.${ext}`)}
+          className="rounded-md bg-gray-700 px-2 py-1 text-[11px] text-gray-100 hover:bg-gray-600"
+        >
+          Download {ext.toUpperCase()}
+        </button>
+        <button
+          onClick={() => openBlob(figureBlob(data))}
+          className="rounded-md bg-gray-700 px-2 py-1 text-[11px] text-gray-100 hover:bg-gray-600"
+        >
+          Open full size
+        </button>
+      </figcaption>
+    </figure>
+  );
+};
+
+// Render the richest representation available in a MIME bundle
+const DisplayOutput = ({ data, figure, name, anchor }) => {
+  if (data["text/html"]) {
+    return (
+      <div
+        className={classNames(
+          "mt-2 max-h-96 overflow-auto rounded-md bg-gray-900/70 p-2 text-xs text-gray-100",
+          "[&_table]:border-collapse [&_td]:border [&_td]:border-white/10 [&_td]:px-2 [&_td]:py-1 [&_td]:text-right",
+          "[&_th]:border [&_th]:border-white/10 [&_th]:bg-gray-800 [&_th]:px-2 [&_th]:py-1 [&_th]:text-right",
+          "[&_tbody_tr:nth-child(odd)]:bg-white/5"
+        )}
+        dangerouslySetInnerHTML={{ __html: sanitizeHtml(data["text/html"]) }}
+      />
+    );
+  }
+  if (isImageBundle(data)) return <FigureOutput data={data} figure={figure} name={name} anchor={anchor} />;
+  return <pre className="mt-2 overflow-auto rounded-md bg-gray-900/70 p-3 text-xs text-gray-100">{data["text/plain"]}</pre>;
+};
+
+// stdout / stderr / display outputs in emission order; warnings collected in their own panel
+const OutputItems = ({ outputs, name, anchor }) => {
+  let figure = 0;
+  const warnings = outputs.filter((o) => o.type === "warning");
+  return (
+    <>
+      {outputs.map((o, i) => {
+        if (o.type === "stream") {
+          return (
+            <pre
+              key={i}
+              className={classNames(
+                "mt-2 overflow-auto rounded-md p-3 text-xs",
+                o.name === "stderr" ? "bg-rose-950/40 text-rose-200" : "bg-gray-900/70 text-gray-100"
+              )}
+            >
+              {o.text}
+            </pre>
+          );
+        }
+        if (o.type === "display") {
+          if (isImageBundle(o.data)) figure += 1;
+          return <DisplayOutput key={i} data={o.data} figure={figure} name={name} anchor={anchor} />;
+        }
+        return null;
+      })}
+      {warnings.length > 0 && (
+        <div className="mt-2 rounded-md border border-amber-500/30 bg-amber-950/30 p-3 text-xs text-amber-200">
+          <p className="mb-1 font-semibold">⚠ Warnings ({warnings.length})</p>
+          {warnings.map((w, i) => (
+            <pre key={i} className="overflow-auto whitespace-pre-wrap">{w.text}</pre>
+          ))}
+        </div>
+      )}
+    </>
+  );
+};
+
+// -----------------------------
+// Tracebacks
+// -----------------------------
+
+// Frames from the runtime setup / cell driver ("<exec>") or Pyodide's own modules
+const isInternalFrame = (f) => f.filename === "<exec>" || /\/_?pyodide\//.test(f.filename);
+
+const frameLocation = (f, tb) => {
+  if (f.filename === tb.filename) return `Your code, line ${f.lineno}`;
+  if (/^<cell-\d+>$/.test(f.filename)) return `Another code block, line ${f.lineno}`;
+  // Trim site-packages paths down to the package-relative part
+  const file = f.filename.replace(/^.*\/site-packages\//, "");
+  return `${file}, line ${f.lineno}, in ${f.name}`;
+};
+
+const FrameRow = ({ frame, tb }) => (
+  <li className={classNames("rounded px-2 py-1", frame.filename === tb.filename && "bg-rose-950/60")}>
+    <div className="text-rose-200">{frameLocation(frame, tb)}</div>
+    {frame.line && <pre className="overflow-auto pl-3 text-gray-200">{frame.line}</pre>}
+  </li>
+);
+
+const TracebackView = ({ tb }) => {
+  const internal = tb.frames.filter(isInternalFrame);
+  const visible = tb.frames.filter((f) => !isInternalFrame(f));
+  return (
+    <div className="mt-2 rounded-md bg-rose-900/40 p-3 text-xs text-rose-100">
+      <p className="font-mono font-semibold">
+        {tb.type}{tb.message ? `: ${tb.message}` : ""}
+      </p>
+      {tb.lineno && <p className="mt-1 text-rose-200">Raised at line {tb.lineno} of your code.</p>}
+      {visible.length > 0 && (
+        <ol className="mt-2 space-y-1 font-mono">
+          {visible.map((f, i) => <FrameRow key={i} frame={f} tb={tb} />)}
+        </ol>
+      )}
+      {internal.length > 0 && (
+        <details className="mt-2">
+          <summary className="cursor-pointer text-rose-300">
+            {internal.length} runtime-internal frame{internal.length === 1 ? "" : "s"}
+          </summary>
+          <ol className="mt-1 space-y-1 font-mono opacity-70">
+            {internal.map((f, i) => <FrameRow key={i} frame={f} tb={tb} />)}
+          </ol>
+        </details>
+      )}
+    </div>
+  );
+};
+
+const ChapterContext = createContext(null);
+const SectionContext = createContext(null);
+const ProgressContext = createContext(null);
+const RunRegistryContext = createContext(null);
+// Presenter mode: { role: "presenter", publish } or { role: "audience", blocks } (see presentation.js)
+// Setter for the section being shown (scrolled to, or on the current slide); drives the lecture timer
+const ActiveSectionContext = createContext(null);
+const PresentationContext = createContext(null);
+
+// Tracks every mounted CodeBlock so "Run all" / "Run section" can execute them in document order
+// and exports can read their current code and output
+function useRunRegistry() {
+  const entriesRef = useRef(new Set());
+  const [version, setVersion] = useState(0);
+  const [busyScope, setBusyScope] = useState(null); // null | "all" | section id
+
+  const register = useCallback((entry) => {
+    entriesRef.current.add(entry);
+    setVersion((v) => v + 1);
+    return () => {
+      entriesRef.current.delete(entry);
+      setVersion((v) => v + 1);
+    };
+  }, []);
+
+  const blocksIn = useCallback(
+    (scope) =>
+      [...entriesRef.current]
+        .filter((b) => b.el && (scope === "all" || b.sectionId === scope))
+        .sort((a, b) => (a.el.compareDocumentPosition(b.el) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1)),
+    []
+  );
+
+  const runBlocks = useCallback(async (scope) => {
+    const blocks = blocksIn(scope);
+    setBusyScope(scope);
+    try {
+      // Queue everything up front (each block shows "queued"), then stop at the first failure
+      // so later blocks don't run against missing state (e.g. `tips` from Setup & Inspect)
+      const results = blocks.map((b) => b.run());
+      for (let i = 0; i < results.length; i++) {
+        const res = await results[i];
+        if (res?.error) {
+          blocks.slice(i + 1).forEach((b) => b.cancel());
+          break;
+        }
+      }
+    } finally {
+      setBusyScope(null);
+    }
+  }, [blocksIn]);
+
+  const hasBlocks = useCallback((scope) => blocksIn(scope).length > 0, [blocksIn]);
+
+  // Whether a block shows figures drawn under a theme other than `theme`
+  const staleFigures = useCallback(
+    (theme) =>
+      [...entriesRef.current].some(
+        ({ state }) =>
+          state.figureTheme && state.figureTheme !== theme && state.outputs.some((o) => o.type === "display" && isImageBundle(o.data))
+      ),
+    []
+  );
+
+  // { source, outputs, params, figureTheme, error, message } of a mounted block, or null
+  const blockState = useCallback(
+    (sectionId, index) => [...entriesRef.current].find((b) => b.sectionId === sectionId && b.index === index)?.state ?? null,
+    []
+  );
+
+  return useMemo(
+    () => ({ register, runBlocks, hasBlocks, blockState, staleFigures, busyScope, version }),
+    [register, runBlocks, hasBlocks, blockState, staleFigures, busyScope, version]
+  );
+}
+
+const RunScopeButton = ({ scope, label, className }) => {
+  const registry = useContext(RunRegistryContext);
+  if (!registry?.hasBlocks(scope)) return null;
+  const busy = registry.busyScope !== null;
+  return (
+    <button
+      onClick={() => registry.runBlocks(scope)}
+      disabled={busy}
+      className={classNames(
+        "inline-flex items-center gap-2 rounded-lg px-3 py-1.5 text-sm font-medium",
+        busy ? "bg-indigo-900 text-indigo-200" : "bg-indigo-600 text-white hover:bg-indigo-500",
+        className
+      )}
+      title="Run code blocks in order, stopping at the first error"
+    >
+      {registry.busyScope === scope ? (<><Spinner /><span>Running…</span></>) : label}
+    </button>
+  );
+};
+
+// Exercise checklist: pass/fail per check (see exercises.js), with hints for the failures
+const Checklist = ({ checks, state }) => {
+  const results = state?.results;
+  const passed = results ? results.filter((r) => r.passed).length : 0;
+  return (
+    <div className="mt-3 rounded-lg border border-white/10 bg-gray-900/50 p-3">
+      <div className="mb-2 flex items-center justify-between">
+        <p className="text-xs font-semibold text-gray-200">Checks</p>
+        {results && (
+          <span className={classNames("text-xs", passed === checks.length ? "text-emerald-300" : "text-gray-300")}>
+            {passed === checks.length ? "All checks passed 🎉" : `${passed} / ${checks.length} passed`}
+          </span>
+        )}
+      </div>
+      <ul className="space-y-1 text-sm">
+        {checks.map((check, i) => {
+          const r = results?.[i];
+          return (
+            <li key={i}>
+              <span className="mr-2">{!r ? "○" : r.passed ? "✅" : "❌"}</span>
+              {check.label}
+              {r && !r.passed && (
+                <p className="ml-7 text-xs text-amber-200">
+                  {r.error && `${r.error} `}Hint: {check.hint}
+                </p>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+      {!results && (
+        <p className="mt-2 text-xs text-gray-400">{state?.error || "Run your code to check it."}</p>
+      )}
+    </div>
+  );
+};
+
+// -----------------------------
+// Parameter widgets (see params.js)
+// -----------------------------
+// Pause after the last widget change before the block re-runs
+const PARAM_RERUN_DELAY_MS = 400;
+
+const ParamControl = ({ param, value, onChange }) => {
+  const id = useId();
+  const label = <label htmlFor={id} className="font-mono">{param.label}</label>;
+  switch (param.type) {
+    case "slider":
+      return (
+        <div className="flex items-center gap-2">
+          {label}
+          <input
+            id={id}
+            type="range"
+            min={param.min}
+            max={param.max}
+            step={param.step}
+            value={value}
+            onChange={(e) => onChange(Number(e.target.value))}
+            className="w-36 accent-indigo-500"
+          />
+          <output htmlFor={id} className="min-w-8 tabular-nums text-gray-300">{value}</output>
+        </div>
+      );
+    case "select":
+      return (
+        <div className="flex items-center gap-2">
+          {label}
+          <select
+            id={id}
+            value={param.options.indexOf(value)}
+            onChange={(e) => onChange(param.options[Number(e.target.value)])}
+            className="rounded-md bg-gray-800 px-1 py-1 text-gray-100"
+          >
+            {param.options.map((o, i) => <option key={i} value={i}>{o}</option>)}
+          </select>
+        </div>
+      );
+    case "checkbox":
+      return (
+        <div className="flex items-center gap-2">
+          <input id={id} type="checkbox" checked={value} onChange={(e) => onChange(e.target.checked)} className="accent-indigo-500" />
+          {label}
+        </div>
+      );
+    default:
+      return (
+        <div className="flex items-center gap-2">
+          {label}
+          <input id={id} type="color" value={value} onChange={(e) => onChange(e.target.value)} className="h-6 w-10 cursor-pointer rounded bg-transparent" />
+          <span className="font-mono text-gray-400">{value}</span>
+        </div>
+      );
+  }
+};
+
+const ParamControls = ({ params, values, onChange }) => (
+  <fieldset className="mt-3 flex flex-wrap items-center gap-x-6 gap-y-2 rounded-lg border border-white/10 bg-gray-900/50 px-3 py-2 text-xs text-gray-200">
+    <legend className="sr-only">Parameters (changing one re-runs the code)</legend>
+    {params.map((p) => (
+      <ParamControl key={p.name} param={p} value={values[p.name]} onChange={(v) => onChange(p.name, v)} />
+    ))}
+  </fieldset>
+);
+
+const RunnableCodeBlock = ({ code, label = "Run", index, timeout = DEFAULT_RUN_TIMEOUT_S, figureFormat, figureDpi, checks, params, initialOutputs }) => {
+  const { status, errMsg, errInfo, progress, ensureReady, run, stop } = usePyRunner();
+  const chapterId = useContext(ChapterContext);
+  const sectionId = useContext(SectionContext);
+  const figureSettings = useContext(FigureSettingsContext);
+  const registry = useContext(RunRegistryContext);
+  const rootRef = useRef(null);
+  const storageKey = sectionId != null && index != null ? codeStorageKey(chapterId, sectionId, index) : null;
+  const { source, setSource, reset, modified } = useEditableCode(storageKey, code);
+  // Parameter values are set as Python globals; outputs are cached per program, values included
+  const [paramValues, setParamValues] = useState(() => paramDefaults(params));
+  const program = withParams(params, paramValues, source);
+  const theme = useTheme();
+  // Per-block props win over the page-wide figure settings
+  const figure = { format: figureFormat ?? figureSettings.format, dpi: figureDpi ?? figureSettings.dpi, theme };
+  // Outputs shown before the first run: stored with an imported notebook, or restored
+  // from the output cache / snapshot (see outputCache.js)
+  const [outputs, setOutputs] = useState(initialOutputs || []);
+  const [restored, setRestored] = useState(initialOutputs?.length ? { from: "notebook" } : null);
+  // Theme the shown figures were drawn in (unknown for a notebook's stored outputs)
+  const [figureTheme, setFigureTheme] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [hasRun, setHasRun] = useState(Boolean(initialOutputs?.length));
+  const [ranSource, setRanSource] = useState(null);
+  const [checkState, setCheckState] = useState(null); // { results } | { error } once checked
+  const markProgress = useContext(ProgressContext)?.mark;
+  const progressKey = sectionId != null && index != null ? itemKey(sectionId, index) : null;
+  const anchor = sectionId != null && index != null ? codeAnchor(sectionId, index) : null;
+  const hintId = useId();
+
+  // Restore the last output of the code as loaded; only looked up once, on mount
+  const [[restoreKey, restoreProgram, restoreTheme]] = useState(() => [outputKey(program, figure), program, theme]);
+  const ranRef = useRef(false);
+  useEffect(() => {
+    if (initialOutputs?.length) return;
+    let cancelled = false;
+    findCachedOutputs(chapterId, restoreKey, restoreProgram).then((found) => {
+      // A run started meanwhile wins
+      if (!found || cancelled || ranRef.current) return;
+      setOutputs(found.outputs.reduce(appendOutput, []));
+      setRestored({ from: found.from, at: found.at });
+      // A snapshot's figures may be in another theme: "Re-render figures" offers to redraw them
+      setFigureTheme(found.from === "snapshot" ? found.theme : restoreTheme);
+      setHasRun(true);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [chapterId, restoreKey, restoreProgram, restoreTheme, initialOutputs]);
+
+  const onRun = async () => {
+    if (running || status === "loading") return;
+    ranRef.current = true;
+    setRunning(true);
+    setOutputs([]);
+    setRestored(null);
+    setFigureTheme(theme);
+    setHasRun(true);
+    setRanSource(source);
+    setCheckState(null);
+    try {
+      const result = await run(source, {
+        timeout,
+        figure: { ...figure, style: figureStyle(theme) },
+        variables: params ? paramValues : undefined,
+        checks: checks?.map(({ name, arg }) => ({ name, arg })),
+        onOutput: (item) => setOutputs((list) => appendOutput(list, item)),
+      });
+      if (result.status === "ok") storeCachedOutputs(outputKey(program, figure), result.outputs);
+      if (checks) {
+        setCheckState(result.checks ? { results: result.checks } : { error: "Checks run once the code finishes without an error." });
+      }
+      if (progressKey && !result.error) {
+        markProgress?.("runs", progressKey);
+        if (result.checks?.every((r) => r.passed)) markProgress?.("exercises", progressKey);
+      }
+      return result;
+    } finally {
+      setRunning(false);
+      if (rerunPending.current) {
+        rerunPending.current = false;
+        // On the next tick, once this render has the run finished and the latest values
+        setTimeout(() => onRunRef.current());
+      }
+    }
+  };
+
+  // Registry entries call through refs so they always see the latest source and output
+  const onRunRef = useRef(onRun);
+  onRunRef.current = onRun;
+
+  // A widget change re-runs the block once the learner pauses; during a run, right after it
+  const rerunTimer = useRef(null);
+  const rerunPending = useRef(false);
+  const busyRef = useRef(false);
+  busyRef.current = running || status === "loading";
+  useEffect(() => () => clearTimeout(rerunTimer.current), []);
+  const onParamChange = (name, value) => {
+    setParamValues((v) => ({ ...v, [name]: value }));
+    clearTimeout(rerunTimer.current);
+    rerunTimer.current = setTimeout(() => {
+      if (busyRef.current) rerunPending.current = true;
+      else onRunRef.current();
+    }, PARAM_RERUN_DELAY_MS);
+  };
+  const stateRef = useRef(null);
+  stateRef.current = {
+    source,
+    outputs,
+    params: params ? paramValues : null,
+    figureTheme,
+    error: status === "error" ? errInfo : null,
+    message: ["error", "interrupted", "timeout"].includes(status) && !errInfo ? errMsg : null,
+  };
+  const register = registry?.register;
+  useEffect(() => {
+    if (!register) return;
+    return register({
+      sectionId,
+      index,
+      get el() { return rootRef.current; },
+      get state() { return stateRef.current; },
+      run: () => onRunRef.current(),
+      cancel: stop,
+    });
+  }, [register, sectionId, index, stop]);
+
+  // What screen readers announce (live region) as this block's run progresses
+  let announcement = "";
+  if (ranSource !== null) {
+    const figures = outputs.filter((o) => o.type === "display" && isImageBundle(o.data)).length;
+    if (status === "queued" || status === "running") announcement = status === "queued" ? "Queued" : "Running";
+    else if (status === "error") {
+      announcement = errInfo
+        ? `Error${errInfo.lineno ? ` on line ${errInfo.lineno}` : ""}: ${errInfo.type}${errInfo.message ? `: ${errInfo.message}` : ""}`
+        : `Error: ${errMsg}`;
+    } else if (status === "interrupted" || status === "timeout") announcement = errMsg || "Stopped";
+    else if (!running) {
+      announcement = [
+        "Finished",
+        figures ? `${figures} figure${figures > 1 ? "s" : ""}` : !outputs.length && "no output",
+        checkState?.results && `${checkState.results.filter((r) => r.passed).length} of ${checkState.results.length} checks passed`,
+      ].filter(Boolean).join(", ");
+    }
+  }
+
+  // Presenting: mirror edits, runs and outputs to the audience window
+  const publish = useContext(PresentationContext)?.publish;
+  useEffect(() => {
+    if (publish && progressKey) publish(progressKey, { source: program, outputs, status, errMsg, errInfo, checkState, hasRun });
+  }, [publish, progressKey, program, outputs, status, errMsg, errInfo, checkState, hasRun]);
+
+  return (
+    <div ref={rootRef} id={anchor ?? undefined} className="group scroll-mt-24 rounded-xl border border-white/10 bg-black/60 p-3 ring-1 ring-white/10">
+      <div className="mb-2 flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          {/* With the parameters' current values, so the copy runs anywhere */}
+          <CopyButton text={program} />
+          <button
+            onClick={onRun}
+            disabled={running || status === 'loading'}
+            className={classNames(
+              "inline-flex items-center gap-2 rounded-lg px-3 py-1.5 text-sm font-medium",
+              running ? "bg-indigo-900 text-indigo-200" : "bg-indigo-600 text-white hover:bg-indigo-500"
+            )}
+            title="Run this code"
+          >
+            {running ? (<><Spinner /><span>{status === "queued" ? "Queued…" : "Running…"}</span></>) : label}
+          </button>
+          {(status === "running" || status === "queued") && (
+            <button
+              onClick={stop}
+              className="rounded-lg bg-rose-700 px-3 py-1.5 text-sm font-medium text-white hover:bg-rose-600"
+              title={status === "queued" ? "Remove from the run queue" : `Interrupt the running code (auto-stops after ${timeout}s)`}
+            >
+              {status === "queued" ? "Cancel" : "Stop"}
+            </button>
+          )}
+        </div>
+        <div className="flex items-center gap-2">
+          {anchor && <AnchorLink id={anchor} what="code block" />}
+          {modified && (
+            <>
+              <span className="rounded-md bg-amber-900/60 px-2 py-1 text-xs text-amber-200" title="This code differs from the original example">
+                Modified
+              </span>
+              <button
+                onClick={reset}
+                className="rounded-md bg-gray-700 px-2 py-1 text-xs text-gray-100 hover:bg-gray-600"
+                title="Discard your edits and restore the original example"
+              >
+                Reset to original
+              </button>
+            </>
+          )}
+          {restored && restored.from !== "notebook" && (
+            <span
+              className="rounded-md bg-sky-900/60 px-2 py-1 text-xs text-sky-200"
+              title={
+                restored.from === "snapshot"
+                  ? "Output from the instructor's snapshot of this chapter. Run to refresh."
+                  : `Output from your last run${restored.at ? ` (${new Date(restored.at).toLocaleString()})` : ""}, restored from this browser. Run to refresh.`
+              }
+            >
+              Cached
+            </span>
+          )}
+          <RuntimeStatus status={status} progress={progress} />
+          {status === 'idle' && (
+            <button
+              onClick={ensureReady}
+              className="rounded-md bg-gray-700 px-2 py-1 text-xs text-gray-100 hover:bg-gray-600"
+              title="Preload Python runtime"
+            >
+              Load runtime
+            </button>
+          )}
+        </div>
+      </div>
+
+      <CodeEditor
+        value={source}
+        onChange={setSource}
+        onRun={onRun}
+        // Only point at the failing line while the code is still what was run
+        errorLine={status === "error" && ranSource === source ? errInfo?.lineno : null}
+        describedBy={hintId}
+      />
+      <p id={hintId} className="mt-1 text-[10px] text-gray-500">
+        Ctrl/⌘ + Enter to run • Tab / Shift+Tab to indent • Esc then Tab to leave the editor
+      </p>
+      {params && <ParamControls params={params} values={paramValues} onChange={onParamChange} />}
+
+      {/* Output */}
+      <div className="mt-3 rounded-lg border border-white/10 bg-gray-900/50 p-3">
+        <p className="mb-2 text-xs font-semibold text-gray-200">
+          Output
+          {restored?.from === "notebook" && <span className="ml-2 font-normal text-gray-400">(saved in the notebook; run to refresh)</span>}
+        </p>
+        {!hasRun && (
+          <p className="text-xs text-gray-400">No output yet. Click <span className="rounded bg-gray-800 px-1 py-0.5">Run</span> to execute and display results here.</p>
+        )}
+        <OutputItems outputs={outputs} name={sectionId != null && index != null ? `${sectionId}-${index + 1}-figure` : "figure"} anchor={anchor} />
+        {status === "error" && errInfo && <TracebackView tb={errInfo} />}
+        {status === "error" && errMsg && !errInfo && (
+          <div className="mt-2 rounded-md bg-rose-900/40 p-3 text-xs text-rose-100">{String(errMsg)}</div>
+        )}
+        {(status === "interrupted" || status === "timeout") && errMsg && (
+          <div className="mt-2 rounded-md bg-orange-900/40 p-3 text-xs text-orange-100">{errMsg}</div>
+        )}
+      </div>
+      {checks && <Checklist checks={checks} state={checkState} />}
+      <p className="sr-only" role="status" aria-atomic="true">{announcement}</p>
+    </div>
+  );
+};
+
+// Audience window: the presenter's code and outputs, read-only
+const MirroredCodeBlock = ({ code, params, index, checks }) => {
+  const sectionId = useContext(SectionContext);
+  const { blocks } = useContext(PresentationContext);
+  const state = blocks[itemKey(sectionId, index)];
+  const busy = state?.status === "queued" || state?.status === "running";
+  return (
+    <div className="rounded-xl border border-white/10 bg-black/60 p-3 ring-1 ring-white/10">
+      {busy && (
+        <p className="mb-2 inline-flex items-center gap-2 text-sm text-indigo-200">
+          <Spinner /> {state.status === "queued" ? "Queued…" : "Running…"}
+        </p>
+      )}
+      <pre className="overflow-auto rounded-lg bg-black/70 px-3 py-4 font-mono text-sm leading-relaxed text-gray-100">{state?.source ?? withParams(params, null, code)}</pre>
+      {state?.hasRun && (
+        <div className="mt-3 rounded-lg border border-white/10 bg-gray-900/50 p-3">
+          <p className="mb-2 text-xs font-semibold text-gray-200">Output</p>
+          <OutputItems outputs={state.outputs} name={`${sectionId}-${index + 1}-figure`} />
+          {state.status === "error" && state.errInfo && <TracebackView tb={state.errInfo} />}
+          {state.errMsg && !state.errInfo && (
+            <div className="mt-2 rounded-md bg-rose-900/40 p-3 text-xs text-rose-100">{String(state.errMsg)}</div>
+          )}
+        </div>
+      )}
+      {checks && state?.checkState && <Checklist checks={checks} state={state.checkState} />}
+    </div>
+  );
+};
+
+// In the audience window code blocks follow the presenter's instead of running
+const CodeBlock = (props) =>
+  useContext(PresentationContext)?.role === "audience" ? <MirroredCodeBlock {...props} /> : <RunnableCodeBlock {...props} />;
+
+// -----------------------------
+// Dataset uploads (see uploads.js)
+// -----------------------------
+const formatBytes = (n) =>
+  n < 1024 ? `${n} B` : n < 1024 * 1024 ? `${(n / 1024).toFixed(1)} KB` : `${(n / 1024 / 1024).toFixed(1)} MB`;
+
+// Uploaded files with their load state; restored from IndexedDB on mount
+function useUploads() {
+  const [uploads, setUploads] = useState([]); // [{ ...upload, state: "loading" | "ready" | "error", error?, progress? }]
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadStoredUploads().then((stored) => {
+      if (cancelled) return;
+      // Uploads stored before names like pd or tips were reserved get a new variable
+      const taken = stored.map((u) => u.variable);
+      const renamed = stored.map((u) => {
+        if (!isReservedVariable(u.variable)) return u;
+        const variable = uploadVariable(u.file, taken);
+        taken.push(variable);
+        storeUpload({ ...u, variable });
+        return { ...u, variable };
+      });
+      renamed.forEach(restoreUpload);
+      setUploads(renamed.map((u) => ({ ...u, state: "ready" })));
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  const patch = (file, changes) => setUploads((list) => list.map((u) => (u.file === file ? { ...u, ...changes } : u)));
+
+  const addFiles = async (files) => {
+    setError(null);
+    const taken = uploads.map((u) => u.variable);
+    for (const f of files) {
+      const format = uploadFormat(f.name);
+      if (!format) {
+        setError(`${f.name}: unsupported file type (use CSV, TSV, JSON or .xlsx).`);
+        continue;
+      }
+      if (f.size > MAX_UPLOAD_BYTES) {
+        setError(`${f.name} is larger than ${formatBytes(MAX_UPLOAD_BYTES)}.`);
+        continue;
+      }
+      // Re-uploading a file replaces it and keeps its variable name
+      const existing = uploads.find((u) => u.file === f.name);
+      const variable = existing && !isReservedVariable(existing.variable) ? existing.variable : uploadVariable(f.name, taken);
+      taken.push(variable);
+      const upload = { file: f.name, format, variable, size: f.size, bytes: await f.arrayBuffer(), addedAt: Date.now() };
+      setUploads((list) => [...list.filter((u) => u.file !== f.name), { ...upload, state: "loading" }]);
+      try {
+        const preview = await mountUpload(upload, { onProgress: (progress) => patch(f.name, { progress }) });
+        patch(f.name, { state: "ready", preview, progress: null });
+        storeUpload({ ...upload, preview });
+      } catch (e) {
+        patch(f.name, { state: "error", error: e.message, progress: null });
+      }
+    }
+  };
+
+  const remove = (upload) => {
+    setUploads((list) => list.filter((u) => u.file !== upload.file));
+    deleteStoredUpload(upload.file);
+    unmountUpload(upload).catch(() => {});
+  };
+
+  return { uploads, error, addFiles, remove };
+}
+
+const UploadItem = ({ upload, onRemove }) => {
+  const { file, variable, size, state, error, preview, progress } = upload;
+  return (
+    <li className="rounded-lg border border-white/10 bg-gray-800/40 p-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="text-xs text-gray-400">
+          <code className="mr-2 rounded bg-gray-800 px-1.5 py-0.5 text-sm text-indigo-200">{variable}</code>
+          {file} • {formatBytes(size)}
+          {preview && ` • ${preview.rows} rows × ${preview.columns.length} columns`}
+        </div>
+        <button
+          onClick={onRemove}
+          className="rounded-lg bg-gray-700 px-2 py-1 text-xs text-gray-100 hover:bg-gray-600"
+        >
+          Remove
+        </button>
+      </div>
+      {state === "loading" && (
+        <div className="mt-2 flex items-center gap-2 text-xs text-gray-400">
+          {progress?.current ? <RuntimeStatus progress={progress} /> : <><Spinner /> Reading file…</>}
+        </div>
+      )}
+      {state === "error" && <p className="mt-2 text-xs text-rose-300">{error}</p>}
+      {preview && (
+        <details className="mt-2">
+          <summary className="cursor-pointer text-xs text-gray-300">Columns & code snippet</summary>
+          <table className="mt-2 text-xs">
+            <tbody>
+              {preview.columns.map((c) => (
+                <tr key={c.name} className="border-b border-white/5">
+                  <td className="py-0.5 pr-4 font-mono text-gray-200">{c.name}</td>
+                  <td className="py-0.5 font-mono text-gray-400">{c.dtype}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <pre className="mt-2 overflow-x-auto rounded-md bg-gray-950 p-3 text-xs text-gray-100">{uploadSnippet(upload)}</pre>
+          <div className="mt-2">
+            <CopyButton text={uploadSnippet(upload)} label="Copy snippet" />
+          </div>
+        </details>
+      )}
+    </li>
+  );
+};
+
+// Drag-and-drop upload of the learner's own data; each file becomes a DataFrame global
+const DatasetPanel = () => {
+  const { uploads, error, addFiles, remove } = useUploads();
+  const [dragging, setDragging] = useState(false);
+  const inputRef = useRef(null);
+
+  const onDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    addFiles([...e.dataTransfer.files]);
+  };
+
+  return (
+    <div className="rounded-xl border border-white/10 bg-gray-900/60 p-4">
+      <p className="mb-2 font-medium">Your datasets</p>
+      <div
+        onDragOver={(e) => { e.preventDefault(); setDragging(true); }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={onDrop}
+        className={classNames(
+          "rounded-lg border-2 border-dashed p-4 text-center text-xs text-gray-400",
+          dragging ? "border-indigo-400 bg-indigo-500/10" : "border-white/15"
+        )}
+      >
+        Drop a CSV, TSV, JSON or Excel (.xlsx) file here, or{" "}
+        <button onClick={() => inputRef.current?.click()} className="text-indigo-300 underline hover:text-indigo-200">
+          browse
+        </button>
+        . Each file is loaded as a pandas DataFrame you can use in any code block.
+        <input
+          ref={inputRef}
+          type="file"
+          accept={UPLOAD_ACCEPT}
+          multiple
+          hidden
+          onChange={(e) => {
+            addFiles([...e.target.files]);
+            e.target.value = "";
+          }}
+        />
+      </div>
+      {error && <p className="mt-2 text-xs text-rose-300">{error}</p>}
+      {uploads.length > 0 && (
+        <ul className="mt-3 space-y-2">
+          {uploads.map((u) => (
+            <UploadItem key={u.file} upload={u} onRemove={() => remove(u)} />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// -----------------------------
+// Lecture timer (agenda and time accounting: see lectureTimer.js)
+// -----------------------------
+const TIMER_SOUND_KEY = "ch05:timer-sound";
+
+// Short beep for timer alerts (higher when a section is over); silent where audio is unavailable
+function playChime(level) {
+  try {
+    const ctx = new AudioContext();
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+    osc.frequency.value = level === "over" ? 880 : 660;
+    gain.gain.setValueAtTime(0.2, ctx.currentTime);
+    gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + 0.6);
+    osc.connect(gain).connect(ctx.destination);
+    osc.onended = () => ctx.close();
+    osc.start();
+    osc.stop(ctx.currentTime + 0.6);
+  } catch {
+    // No Web Audio: the visual alert still shows
+  }
+}
+
+// Timer state persisted per chapter; `activeSection` is the section being shown
+function useLectureTimer(chapter, activeSection) {
+  const key = `ch05:timer:${chapter.id}`;
+  const items = useMemo(() => agenda(chapter), [chapter]);
+  const [timer, setTimer] = useState(() => {
+    try {
+      return { ...initialTimer(), ...JSON.parse(readStored(key)) };
+    } catch {
+      return initialTimer();
+    }
+  });
+  const [now, setNow] = useState(() => Date.now());
+  const [sound, setSoundState] = useState(() => readStored(TIMER_SOUND_KEY) === "1");
+  const running = timer.resumedAt !== null;
+
+  useEffect(() => {
+    writeStored(key, JSON.stringify(timer));
+  }, [key, timer]);
+
+  useEffect(() => {
+    if (!running) return;
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, [running]);
+
+  useEffect(() => {
+    if (activeSection) setTimer((t) => enterSection(t, activeSection, Date.now()));
+  }, [activeSection]);
+
+  const status = timerStatus(timer, items, now);
+
+  // Alert once per section and level, and only while the clock runs
+  const alertNow = running && isNewAlert(timer, status);
+  useEffect(() => {
+    if (!alertNow) return;
+    setTimer((t) => ({ ...t, alerted: { ...t.alerted, [status.section.id]: status.alert } }));
+    if (sound) playChime(status.alert);
+  }, [alertNow, status.section, status.alert, sound]);
+
+  const start = () => {
+    setNow(Date.now());
+    setTimer((t) => startTimer(t, Date.now()));
+  };
+  const pause = () => setTimer((t) => pauseTimer(t, Date.now()));
+  const reset = () => setTimer({ ...initialTimer(), section: activeSection });
+  const setSound = (on) => {
+    setSoundState(on);
+    writeStored(TIMER_SOUND_KEY, on ? "1" : null);
+  };
+
+  return {
+    status,
+    running,
+    length: lectureLength(chapter, items),
+    log: () => timeLog(timer, items, Date.now()),
+    start,
+    pause,
+    reset,
+    sound,
+    setSound,
+  };
+}
+
+// Signed offset from the agenda, e.g. "02:10 behind"; within 30 s counts as on time
+const scheduleText = (behind) =>
+  Math.abs(behind) < 30_000 ? "on time" : `${formatClock(behind)} ${behind > 0 ? "behind" : "ahead"}`;
+
+const TimeLog = ({ log, chapterId }) => {
+  const exportLog = (format) => {
+    if (format === "csv") downloadBlob(new Blob([timeLogCsv(log)], { type: "text/csv" }), `timing-${chapterId}.csv`);
+    else downloadBlob(new Blob([JSON.stringify({ chapter: chapterId, exportedAt: new Date().toISOString(), sections: log }, null, 2)], { type: "application/json" }), `timing-${chapterId}.json`);
+  };
+  return (
+    <div>
+      <p className="mb-1 text-xs font-semibold text-gray-200">Time per section</p>
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-gray-400">
+            <th className="text-left font-normal">Section</th>
+            <th className="text-right font-normal">Plan</th>
+            <th className="text-right font-normal">Actual</th>
+          </tr>
+        </thead>
+        <tbody>
+          {log.map((r) => (
+            <tr key={r.id}>
+              <td className="py-0.5 pr-2 text-gray-300">{r.label}</td>
+              <td className="text-right text-gray-400">{r.planned ? formatClock(r.planned) : "–"}</td>
+              <td className={classNames("text-right", r.planned && r.actual > r.planned ? "text-rose-300" : "text-gray-200")}>
+                {formatClock(r.actual)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="mt-2 flex gap-2">
+        <button onClick={() => exportLog("json")} className="rounded-md bg-gray-700 px-2 py-1 text-xs text-gray-100 hover:bg-gray-600">
+          Export JSON
+        </button>
+        <button onClick={() => exportLog("csv")} className="rounded-md bg-gray-700 px-2 py-1 text-xs text-gray-100 hover:bg-gray-600">
+          Export CSV
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const LectureTimer = ({ timer, chapterId }) => {
+  const [open, setOpen] = useState(false);
+  const buttonRef = useRef(null);
+  useEscapeToClose(open, setOpen, buttonRef);
+  const { status, running } = timer;
+  const left = timer.length - status.elapsed;
+  return (
+    <div className="relative flex items-center gap-2">
+      <button
+        ref={buttonRef}
+        onClick={() => setOpen((o) => !o)}
+        aria-expanded={open}
+        className={classNames(
+          "rounded-lg bg-gray-900 px-3 py-1 text-left ring-1",
+          status.alert === "over" ? "animate-pulse ring-rose-500" : status.alert === "warn" ? "ring-amber-400" : "ring-white/10"
+        )}
+        title="Lecture timer: time left, current section and schedule (click for the time log)"
+      >
+        <span className="block text-sm">
+          ⏱ {left < 0 && "+"}{formatClock(left)}
+          <span className={classNames("ml-2 text-xs", status.behind >= 30_000 ? "text-rose-300" : "text-emerald-300")}>
+            {scheduleText(status.behind)}
+          </span>
+        </span>
+        {status.section && (
+          <span className="block max-w-56 truncate text-[11px] text-gray-400">
+            {status.section.label}
+            {status.remaining !== null && (
+              <span
+                className={classNames(
+                  "ml-1",
+                  status.alert === "over" ? "font-semibold text-rose-300" : status.alert === "warn" ? "text-amber-300" : ""
+                )}
+              >
+                · {formatClock(status.remaining)} {status.remaining < 0 ? "over" : "left"}
+              </span>
+            )}
+          </span>
+        )}
+      </button>
+      <button
+        onClick={running ? timer.pause : timer.start}
+        className="rounded-lg bg-emerald-600 px-3 py-1.5 text-sm font-medium text-white hover:bg-emerald-500"
+      >
+        {running ? "Pause" : "Start"}
+      </button>
+      {open && (
+        <div className="absolute right-0 top-full z-50 mt-2 w-80 space-y-3 rounded-xl border border-white/10 bg-gray-900 p-4 text-sm shadow-xl">
+          <TimeLog log={timer.log()} chapterId={chapterId} />
+          <label className="flex items-center gap-2 text-xs text-gray-300">
+            <input type="checkbox" checked={timer.sound} onChange={(e) => timer.setSound(e.target.checked)} />
+            Sound alert when a section nears its end or runs over
+          </label>
+          <button
+            onClick={() => window.confirm("Reset the timer and the time log?") && timer.reset()}
+            className="rounded-lg bg-gray-700 px-3 py-1.5 text-xs text-rose-200 hover:bg-gray-600"
+          >
+            Reset timer
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// -----------------------------
+// Quiz (question types and grading: see quiz.js)
+// -----------------------------
+const CHOICE_LETTERS = "ABCDEFGHIJ";
+
+// Image URLs in chapter files are relative to the app's base path unless absolute
+const assetUrl = (src) => (/^([a-z]+:|\/)/i.test(src) ? src : `${import.meta.env.BASE_URL}${src}`);
+
+// Persisted per quiz: display order, current responses (by question index), one entry per
+// submission ({ score, total, correct: [bool], at }) and which explanations are open
+// With an attempt limit, Reset clears the answers but not the submissions already used
+function useQuizState(key, questions, shuffle, maxAttempts) {
+  const fresh = useCallback(
+    () => ({ order: quizOrder(questions, shuffle), responses: {}, attempts: [], revealed: {} }),
+    [questions, shuffle]
+  );
+  const [state, setState] = useState(() => {
+    try {
+      const saved = JSON.parse(readStored(key));
+      if (saved && orderMatches(saved.order, questions)) return saved;
+    } catch {
+      // Unreadable saved state: start over
+    }
+    return fresh();
+  });
+  useEffect(() => {
+    writeStored(key, JSON.stringify(state));
+  }, [key, state]);
+  const reset = () =>
+    setState((s) => (maxAttempts > 0 ? { ...s, responses: {}, revealed: {} } : fresh()));
+  return [state, setState, reset];
+}
+
+// The "predict the plot" choices given as code are drawn by the runtime on request
+const PredictChoice = ({ choice, src, error }) => {
+  if (choice.image) return <img src={assetUrl(choice.image)} alt="" className="w-full rounded bg-figure" />;
+  if (src) return <img src={src} alt="" className="w-full rounded bg-figure" />;
+  return (
+    <div className="flex h-32 items-center justify-center rounded bg-gray-900 p-2 text-center text-xs text-gray-500">
+      {error || "Not rendered yet"}
+    </div>
+  );
+};
+
+function usePredictRenders(question) {
+  const [renders, setRenders] = useState({}); // choice index -> { src } | { error }
+  const [busy, setBusy] = useState(false);
+  const needed = questionType(question) === "predict" && question.choices.some((c) => c.code);
+  const theme = useTheme();
+
+  // Isolated, so a choice's snippet can't overwrite the learner's df, x or fig
+  const render = async () => {
+    setBusy(true);
+    for (const [i, choice] of question.choices.entries()) {
+      if (!choice.code) continue;
+      const res = await runPython(choice.code, { figure: { format: "png", dpi: 72, style: figureStyle(theme) }, isolated: true });
+      const image = res.outputs.find((o) => o.type === "display" && isImageBundle(o.data));
+      setRenders((r) => ({ ...r, [i]: image ? { src: figureSrc(image.data) } : { error: res.error || "No figure produced" } }));
+    }
+    setBusy(false);
+  };
+
+  return { renders, busy, needed: needed && !Object.keys(renders).length, render };
+}
+
+const QuestionInput = ({ question, choiceOrder, response, onChange, locked, name }) => {
+  const type = questionType(question);
+  const predict = usePredictRenders(question);
+  const inputClass = "w-48 rounded-md bg-gray-900 px-2 py-1 text-sm ring-1 ring-white/10 focus:outline-none focus:ring-indigo-500";
+
+  if (type === "numeric" || type === "text") {
+    return (
+      <label className="flex items-center gap-2 text-sm">
+        <input
+          type={type === "numeric" ? "number" : "text"}
+          step="any"
+          value={response ?? ""}
+          disabled={locked}
+          onChange={(e) => onChange(e.target.value)}
+          className={inputClass}
+          placeholder={type === "numeric" ? "Number" : "Your answer"}
+        />
+        {question.unit && <span className="text-gray-400">{question.unit}</span>}
+      </label>
+    );
+  }
+
+  const order = choiceOrder || question.choices.map((_, i) => i);
+  const picked = (i) => (type === "multiple" ? (response || []).includes(i) : response === i);
+  const toggle = (i) => {
+    if (type !== "multiple") return onChange(i);
+    const next = picked(i) ? response.filter((x) => x !== i) : [...(response || []), i];
+    onChange(next.sort((x, y) => x - y));
+  };
+  const choiceClass = (i) => classNames(locked && isAnswerChoice(question, i) && "text-emerald-300");
+
+  if (type === "predict") {
+    return (
+      <div>
+        <pre className="mb-3 overflow-x-auto rounded-md bg-gray-950 p-3 text-xs text-gray-100">{question.code}</pre>
+        {predict.needed && (
+          <button
+            onClick={predict.render}
+            disabled={predict.busy}
+            className="mb-3 inline-flex items-center gap-2 rounded-lg bg-gray-700 px-3 py-1.5 text-xs text-gray-100 hover:bg-gray-600"
+          >
+            {predict.busy && <Spinner />} {predict.busy ? "Drawing the plots…" : "Draw the candidate plots"}
+          </button>
+        )}
+        <div className="grid gap-3 sm:grid-cols-2">
+          {order.map((i, pos) => (
+            <label
+              key={i}
+              className={classNames(
+                "cursor-pointer rounded-lg p-2 ring-1",
+                picked(i) ? "bg-indigo-900/40 ring-indigo-400" : "bg-gray-900/40 ring-white/10",
+                locked && isAnswerChoice(question, i) && "ring-2 ring-emerald-400"
+              )}
+            >
+              <div className="mb-1 flex items-center gap-2 text-sm">
+                <input type="radio" name={name} checked={picked(i)} disabled={locked} onChange={() => toggle(i)} />
+                Plot {CHOICE_LETTERS[pos]}
+              </div>
+              <PredictChoice choice={question.choices[i]} {...predict.renders[i]} />
+            </label>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-1">
+      {order.map((i) => (
+        <label key={i} className="flex items-center gap-2">
+          <input
+            type={type === "multiple" ? "checkbox" : "radio"}
+            name={name}
+            checked={picked(i)}
+            disabled={locked}
+            onChange={() => toggle(i)}
+          />
+          <span className={classNames("text-sm", choiceClass(i))}>{question.choices[i]}</span>
+        </label>
+      ))}
+    </div>
+  );
+};
+
+const QuizBlock = ({ questions, index = 0, shuffle = false, attempts: maxAttempts = 0 }) => {
+  const chapterId = useContext(ChapterContext);
+  const sectionId = useContext(SectionContext);
+  const uid = useId();
+  const [state, setState, reset] = useQuizState(
+    `ch05:quiz:${chapterId}:${sectionId}:${index}`,
+    questions,
+    shuffle,
+    maxAttempts
+  );
+  const last = state.attempts[state.attempts.length - 1];
+  const perfect = last && last.score === last.total;
+  const outOfAttempts = maxAttempts > 0 && state.attempts.length >= maxAttempts;
+  const locked = outOfAttempts || perfect;
+
+  const respond = (i, value) => setState((s) => ({ ...s, responses: { ...s.responses, [i]: value } }));
+  const toggleExplanation = (i) => setState((s) => ({ ...s, revealed: { ...s.revealed, [i]: !s.revealed[i] } }));
+  const markProgress = useContext(ProgressContext)?.mark;
+  const submit = () => {
+    const attempt = {
+      ...scoreQuiz(questions, state.responses),
+      correct: questions.map((q, i) => isCorrect(q, state.responses[i])),
+      at: new Date().toISOString(),
+    };
+    setState((s) => ({ ...s, attempts: [...s.attempts, attempt] }));
+    markProgress?.("quizzes", itemKey(sectionId, index), { score: attempt.score, total: attempt.total, at: attempt.at });
+  };
+  const exportResults = () => {
+    const results = quizResults(questions, state, { chapter: chapterId, section: sectionId, quiz: index + 1 });
+    downloadBlob(
+      new Blob([JSON.stringify(results, null, 2)], { type: "application/json" }),
+      `quiz-${chapterId}-${sectionId}-${index + 1}.json`
+    );
+  };
+
+  return (
+    <div className="space-y-4">
+      {state.order.questions.map((qi, pos) => {
+        const item = questions[qi];
+        const graded = last ? last.correct[qi] : null;
+        const expected = locked && !graded ? expectedAnswer(item) : null;
+        return (
+          <div key={qi} className="rounded-xl border border-white/10 bg-gray-800/50 p-4">
+            <div className="mb-2 flex items-start justify-between gap-3">
+              <p className="font-medium">Q{pos + 1}. {item.question}</p>
+              <span className="shrink-0 text-xs text-gray-400">
+                {questionPoints(item)} pt{questionPoints(item) === 1 ? "" : "s"}
+                {questionType(item) === "multiple" && " • select all that apply"}
+              </span>
+            </div>
+            <QuestionInput
+              question={item}
+              choiceOrder={state.order.choices[qi]}
+              response={state.responses[qi]}
+              onChange={(value) => respond(qi, value)}
+              locked={locked}
+              name={`${uid}-q${qi}`}
+            />
+            {last && (
+              <div className="mt-2 flex flex-wrap items-center gap-3 text-sm">
+                <span className={graded ? "text-emerald-400" : "text-rose-400"}>
+                  {graded ? "✅ Correct." : "❌ Incorrect."}
+                  {expected && <span className="ml-1 text-gray-300">Answer: {expected}</span>}
+                </span>
+                {item.explain && (
+                  <button onClick={() => toggleExplanation(qi)} className="text-xs text-indigo-300 underline hover:text-indigo-200">
+                    {state.revealed[qi] ? "Hide explanation" : "Show explanation"}
+                  </button>
+                )}
+              </div>
+            )}
+            {last && state.revealed[qi] && item.explain && <p className="mt-1 text-sm text-gray-300">{item.explain}</p>}
+          </div>
+        );
+      })}
+      <div className="flex flex-wrap items-center gap-3">
+        <button
+          onClick={submit}
+          disabled={locked}
+          className="rounded-lg bg-indigo-600 px-4 py-2 text-sm font-medium text-white hover:bg-indigo-500 disabled:opacity-50"
+        >
+          {state.attempts.length ? "Resubmit" : "Submit"}
+        </button>
+        <button
+          onClick={reset}
+          className="rounded-lg bg-gray-700 px-4 py-2 text-sm text-gray-100 hover:bg-gray-600"
+        >
+          Reset
+        </button>
+        <button
+          onClick={exportResults}
+          className="rounded-lg bg-gray-700 px-4 py-2 text-sm text-gray-100 hover:bg-gray-600"
+        >
+          Export JSON
+        </button>
+        {last && (
+          <span className="text-sm text-gray-200">
+            Score: <span className="font-semibold">{last.score} / {last.total}</span>
+          </span>
+        )}
+        {maxAttempts > 0 && (
+          <span className="text-xs text-gray-400">
+            {state.attempts.length} of {maxAttempts} attempts used
+            {outOfAttempts && !perfect && " • the answers are shown above"}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// -----------------------------
+// Exercises (checks: see exercises.js)
+// -----------------------------
+const ExerciseBlock = ({ exercise }) => {
+  const [showSolution, setShowSolution] = useState(false);
+  const { code, solution, checks } = exercise;
+  return (
+    <div className="space-y-4 rounded-xl border border-indigo-400/30 bg-indigo-950/20 p-4">
+      <p className="font-medium">
+        <span className="mr-2 rounded bg-indigo-700/60 px-2 py-0.5 text-xs text-indigo-100">Exercise</span>
+        {exercise.title}
+      </p>
+      {exercise.blocks.length > 0 && <ChapterBlocks blocks={exercise.blocks} />}
+      <CodeBlock code={code.code} index={code.index} timeout={code.timeout} params={code.params} checks={checks} label="Run & check" />
+      {solution && (
+        <div>
+          <button
+            onClick={() => setShowSolution((s) => !s)}
+            className="rounded-lg bg-gray-700 px-3 py-1.5 text-xs text-gray-100 hover:bg-gray-600"
+          >
+            {showSolution ? "Hide solution" : "Show solution"}
+          </button>
+          {showSolution && (
+            <div className="mt-2 rounded-lg border border-white/10 bg-black/60 p-3">
+              <pre className="mb-2 overflow-x-auto text-xs text-gray-100">{solution}</pre>
+              <CopyButton text={solution} label="Copy solution" />
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// -----------------------------
+// Chapter blocks (see chapterFormat.js for the file format)
+// -----------------------------
+// Rendered Markdown prose; chapter files are trusted, but sanitize anyway
+const PROSE_CLASSES = classNames(
+  "text-sm text-gray-300 [&>*:last-child]:mb-0 [&_p]:mb-3 [&_a]:text-indigo-300 [&_a]:underline",
+  "[&_ul]:mb-4 [&_ul]:list-disc [&_ul]:pl-6 [&_ol]:mb-4 [&_ol]:list-decimal [&_ol]:pl-6",
+  "[&_code]:rounded [&_code]:bg-gray-800 [&_code]:px-1.5 [&_code]:py-0.5",
+  "[&_pre]:mb-3 [&_pre]:overflow-x-auto [&_pre]:rounded-lg [&_pre]:bg-gray-950 [&_pre]:p-3 [&_pre_code]:bg-transparent [&_pre_code]:p-0"
+);
+
+// Built-in widgets a chapter can place with `::name`
+const WIDGETS = {
+  datasets: () => <DatasetPanel />,
+  "clipboard-diagnostics": () => <ClipboardDiagnostics />,
+};
+
+const BlockGroup = ({ group, className }) => (
+  <div className={className}>
+    {group.heading && <h3 className="mb-2 font-medium">{group.heading}</h3>}
+    <div className="space-y-4">
+      {group.blocks.map((block, i) => (
+        <ChapterBlock key={i} block={block} />
+      ))}
+    </div>
+  </div>
+);
+
+const ChapterBlocks = ({ blocks }) => (
+  <div className="space-y-4">
+    {groupByHeading(blocks).map((group, i) => (
+      <BlockGroup key={i} group={group} />
+    ))}
+  </div>
+);
+
+const ChapterBlock = ({ block }) => {
+  switch (block.type) {
+    case "markdown":
+      return <div className={PROSE_CLASSES} dangerouslySetInnerHTML={{ __html: sanitizeHtml(block.html) }} />;
+    case "code":
+      return <CodeBlock code={block.code} index={block.index} timeout={block.timeout} params={block.params} initialOutputs={block.outputs} />;
+    case "quiz":
+      return <QuizBlock questions={block.questions} index={block.index} shuffle={block.shuffle} attempts={block.attempts} />;
+    case "grid": {
+      const groups = groupByHeading(block.blocks);
+      return (
+        <div className="grid gap-4 md:grid-cols-2">
+          {groups.map((group, i) => (
+            // An odd last cell spans the full width
+            <BlockGroup key={i} group={group} className={groups.length % 2 && i === groups.length - 1 ? "md:col-span-2" : ""} />
+          ))}
+        </div>
+      );
+    }
+    case "exercise":
+      return <ExerciseBlock exercise={block} />;
+    case "box":
+      return (
+        <div className="rounded-xl border border-white/10 bg-gray-800/40 p-4 text-sm text-gray-300">
+          {block.title && <p className="mb-2 font-medium">{block.title}</p>}
+          <ChapterBlocks blocks={block.blocks} />
+        </div>
+      );
+    case "widget": {
+      const Widget = WIDGETS[block.name];
+      return Widget ? <Widget /> : <p className="text-xs text-amber-300">Unknown widget ::{block.name}</p>;
+    }
+    case "notes":
+      // Speaker notes only show in presenter mode
+      return null;
+    default:
+      return null;
+  }
+};
+
+// -----------------------------
+// UI Primitives
+// -----------------------------
+// Element the URL hash points at; a figure that hasn't been drawn yet falls back to its code block
+function hashTarget() {
+  const id = decodeURIComponent(window.location.hash.slice(1));
+  if (!id) return null;
+  return document.getElementById(id) || document.getElementById(id.replace(/-figure-\d+$/, ""));
+}
+
+// Open/closed state is remembered per chapter; scrolling a section through the upper
+// middle of the viewport marks it visited and makes it the active one. A link into a
+// collapsed section (#id, a code block or figure in it) opens it without saving that.
+const Section = ({ id, title, children, defaultOpen = true, duration }) => {
+  const chapterId = useContext(ChapterContext);
+  const openKey = `ch05:open:${chapterId}:${id}`;
+  const [open, setOpenState] = useState(() => {
+    const saved = readStored(openKey);
+    return saved === null ? defaultOpen : saved === "1";
+  });
+  const setOpen = (update) =>
+    setOpenState((prev) => {
+      const next = typeof update === "function" ? update(prev) : update;
+      writeStored(openKey, next === defaultOpen ? null : next ? "1" : "0");
+      return next;
+    });
+
+  const sectionRef = useRef(null);
+  const markProgress = useContext(ProgressContext)?.mark;
+  const setActiveSection = useContext(ActiveSectionContext);
+  useEffect(() => {
+    const el = sectionRef.current;
+    if (!el || typeof IntersectionObserver === "undefined") return;
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((e) => e.isIntersecting)) {
+          markProgress?.("visited", id);
+          setActiveSection?.(id);
+        }
+      },
+      { rootMargin: "-40% 0px -55% 0px" }
+    );
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [id, markProgress, setActiveSection]);
+
+  const [linkTarget, setLinkTarget] = useState(null);
+  useEffect(() => {
+    const reveal = () => {
+      const el = hashTarget();
+      if (!el || !sectionRef.current?.contains(el)) return;
+      setOpenState(true);
+      setLinkTarget({ el }); // a fresh object, so following the same link again scrolls again
+    };
+    reveal();
+    window.addEventListener("hashchange", reveal);
+    return () => window.removeEventListener("hashchange", reveal);
+  }, []);
+  // Scroll once the section is open (hidden content has no position)
+  useEffect(() => {
+    linkTarget?.el.scrollIntoView();
+  }, [linkTarget]);
+
+  return (
+    <section ref={sectionRef} id={id} className="scroll-mt-24 mb-6">
+      <div
+        className={classNames(
+          "flex items-center justify-between rounded-2xl px-4 py-3",
+          open ? "bg-gray-900/70" : "bg-gray-800/80",
+          "ring-1 ring-white/10 shadow"
+        )}
+      >
+        <div className="flex items-center gap-3">
+          <button
+            onClick={() => setOpen((s) => !s)}
+            className="inline-flex h-8 w-8 items-center justify-center rounded-full bg-gray-700/80 hover:bg-gray-600/80"
+            aria-label={open ? "Collapse" : "Expand"}
+            aria-expanded={open}
+            aria-controls={`${id}-body`}
+            title={open ? "Collapse" : "Expand"}
+          >
+            <span className="text-lg select-none">{open ? "−" : "+"}</span>
+          </button>
+          <h2 className="text-xl font-semibold">{title}</h2>
+        </div>
+        <div className="flex items-center gap-3">
+          <RunScopeButton scope={id} label="Run section" className="px-2 py-1 text-xs" />
+          {duration !== undefined && (
+            <span className="text-xs text-gray-300">{duration} min</span>
+          )}
+        </div>
+      </div>
+      {/* Collapsed sections stay mounted (just hidden) so their blocks keep output and still take part in "Run all" */}
+      <div id={`${id}-body`} className={classNames("rounded-b-2xl border-x border-b border-white/10 bg-gray-900/40 p-4", !open && "hidden")}>
+        <SectionContext.Provider value={id}>{children}</SectionContext.Provider>
+      </div>
+    </section>
+  );
+};
+
+// -----------------------------
+// Diagnostics (simple test cases for clipboard paths)
+// -----------------------------
+function ClipboardDiagnostics() {
+  const [result, setResult] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const sample = "Clipboard test: 12345 ✓";
+
+  const run = async () => {
+    setBusy(true);
+    const res = await safeCopyText(sample);
+    setResult(res);
+    setBusy(false);
+  };
+
+  return (
+    <div className="mt-6 rounded-xl border border-white/10 bg-gray-900/50 p-3 text-xs text-gray-200">
+      <div className="mb-2 font-semibold">Clipboard Diagnostics</div>
+      <div className="mb-2">This tries multiple copy methods. If your environment blocks clipboard, you'll see a message.</div>
+      <button
+        onClick={run}
+        disabled={busy}
+        className="rounded-md bg-gray-700 px-3 py-1.5 text-xs hover:bg-gray-600"
+      >
+        {busy ? "Testing…" : "Run clipboard test"}
+      </button>
+      {result && (
+        <div className="mt-2">
+          <div>ok: <span className={classNames(result.ok ? "text-emerald-400" : "text-rose-400")}>{String(result.ok)}</span></div>
+          <div>method: <span className="text-amber-300">{result.method}</span></div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// -----------------------------
+// Learner progress (see progress.js)
+// -----------------------------
+const LEARNER_KEY = "ch05:learner";
+
+function useProgress(chapterId) {
+  const key = `ch05:progress:${chapterId}`;
+  const [progress, setProgress] = useState(() => {
+    try {
+      return { ...emptyProgress(), ...JSON.parse(readStored(key)) };
+    } catch {
+      return emptyProgress();
+    }
+  });
+  useEffect(() => {
+    writeStored(key, JSON.stringify(progress));
+  }, [key, progress]);
+
+  // Visits keep their first timestamp; everything else records the latest
+  const mark = useCallback(
+    (kind, id, value = new Date().toISOString()) =>
+      setProgress((p) => (kind === "visited" && p.visited[id] ? p : { ...p, [kind]: { ...p[kind], [id]: value } })),
+    []
+  );
+  const reset = useCallback(() => setProgress(emptyProgress()), []);
+  return useMemo(() => ({ progress, mark, reset }), [progress, mark, reset]);
+}
+
+// ✓ when a section is complete, otherwise its percentage once started
+const CompletionMark = ({ completion }) => {
+  if (!completion.done) return null;
+  const pct = percent(completion);
+  return pct === 100 ? (
+    <span className="text-emerald-400" title="Complete">✓</span>
+  ) : (
+    <span className="text-[10px] text-gray-400" title={`${completion.done} of ${completion.total} done`}>{pct}%</span>
+  );
+};
+
+// Header progress bar with the learner's name and report export
+const ProgressMenu = ({ chapter, progress, onReset }) => {
+  const [open, setOpen] = useState(false);
+  const buttonRef = useRef(null);
+  useEscapeToClose(open, setOpen, buttonRef);
+  const [learner, setLearner] = useState(() => readStored(LEARNER_KEY) || "");
+  const completion = chapterCompletion(chapter, progress);
+  const pct = percent(completion);
+
+  const updateLearner = (name) => {
+    setLearner(name);
+    writeStored(LEARNER_KEY, name || null);
+  };
+  const exportReport = (format) => {
+    const report = progressReport(chapter, progress, learner.trim());
+    const base = `progress-${chapter.id}${learner.trim() ? `-${learner.trim().replace(/\s+/g, "_")}` : ""}`;
+    if (format === "csv") downloadBlob(new Blob([progressCsv(report)], { type: "text/csv" }), `${base}.csv`);
+    else downloadBlob(new Blob([JSON.stringify(report, null, 2)], { type: "application/json" }), `${base}.json`);
+  };
+
+  return (
+    <div className="relative">
+      <button
+        ref={buttonRef}
+        onClick={() => setOpen((o) => !o)}
+        className="flex flex-col gap-1 rounded-lg bg-gray-900 px-3 py-1 text-left ring-1 ring-white/10 hover:bg-gray-800"
+        title={`${completion.done} of ${completion.total} items done`}
+        aria-expanded={open}
+      >
+        <span className="text-xs text-gray-300">Progress {pct}%</span>
+        <span className="block h-1 w-24 overflow-hidden rounded bg-gray-700">
+          <span className="block h-full rounded bg-emerald-500 transition-all" style={{ width: `${pct}%` }} />
+        </span>
+      </button>
+      {open && (
+        <div className="absolute right-0 top-full z-50 mt-2 w-72 space-y-3 rounded-xl border border-white/10 bg-gray-900 p-4 text-sm shadow-xl">
+          <p className="text-xs text-gray-400">
+            Sections visited, code blocks run, exercises passed and quizzes submitted are saved in this browser.
+          </p>
+          <label className="block text-xs text-gray-300">
+            Your name (included in the report)
+            <input
+              value={learner}
+              onChange={(e) => updateLearner(e.target.value)}
+              className="mt-1 w-full rounded-md bg-gray-800 px-2 py-1 text-sm ring-1 ring-white/10 focus:outline-none focus:ring-indigo-500"
+            />
+          </label>
+          <div className="flex flex-wrap gap-2">
+            <button onClick={() => exportReport("json")} className="rounded-lg bg-indigo-600 px-3 py-1.5 text-xs font-medium text-white hover:bg-indigo-500">
+              Export JSON
+            </button>
+            <button onClick={() => exportReport("csv")} className="rounded-lg bg-gray-700 px-3 py-1.5 text-xs text-gray-100 hover:bg-gray-600">
+              Export CSV
+            </button>
+            <button
+              onClick={() => window.confirm("Clear your progress for this chapter?") && onReset()}
+              className="rounded-lg bg-gray-700 px-3 py-1.5 text-xs text-rose-200 hover:bg-gray-600"
+            >
+              Reset
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// -----------------------------
+// Presenter mode (slides and sync protocol: see presentation.js)
+// -----------------------------
+// Current slide, kept in the URL hash
+function useSlideIndex(count) {
+  const [index, setIndex] = useState(() => slideFromHash(count));
+  useEffect(() => {
+    window.history.replaceState(null, "", slideHash(index));
+  }, [index]);
+  const goTo = useCallback((i) => setIndex(Math.max(0, Math.min(count - 1, i))), [count]);
+  return [index, goTo];
+}
+
+const SlideContent = ({ slide }) => (
+  <SectionContext.Provider value={slide.sectionId}>
+    <h2 className="text-2xl font-semibold">{slide.title}</h2>
+    {slide.heading && <h3 className="mt-1 text-lg text-indigo-200">{slide.heading}</h3>}
+    <div className="mt-6">
+      <ChapterBlocks blocks={slide.blocks} />
+    </div>
+  </SectionContext.Provider>
+);
+
+// Static miniature of a slide's blocks (live blocks would run and register twice)
+const PreviewBlocks = ({ blocks }) =>
+  blocks.map((block, i) => {
+    switch (block.type) {
+      case "markdown":
+        return <div key={i} className={PROSE_CLASSES} dangerouslySetInnerHTML={{ __html: sanitizeHtml(block.html) }} />;
+      case "heading":
+        return <p key={i} className="font-medium">{block.text}</p>;
+      case "code":
+        return <pre key={i} className="overflow-hidden rounded bg-black/60 p-2 text-[10px] text-gray-300">{block.code.split("\n").slice(0, 6).join("\n")}</pre>;
+      case "grid":
+      case "box":
+        return <PreviewBlocks key={i} blocks={block.blocks} />;
+      default:
+        return (
+          <p key={i} className="text-xs text-gray-400">
+            [{block.type === "quiz" ? `Quiz, ${block.questions.length} questions` : block.type === "exercise" ? `Exercise: ${block.title}` : block.type}]
+          </p>
+        );
+    }
+  });
+
+const SlidePreview = ({ slide }) => (
+  <div className="max-h-64 space-y-2 overflow-hidden text-xs">
+    <p className="font-semibold">{slide.title}</p>
+    {slide.heading && <p className="text-indigo-200">{slide.heading}</p>}
+    <PreviewBlocks blocks={slide.blocks} />
+  </div>
+);
+
+// Keys that move between slides; ignored while typing (e.g. in a code editor)
+const SLIDE_KEYS = { ArrowRight: 1, PageDown: 1, ArrowLeft: -1, PageUp: -1 };
+const isTyping = (e) => Boolean(e.target.closest?.("input, textarea, select, [contenteditable]"));
+
+const PresenterView = ({ chapter, timer }) => {
+  const slides = useMemo(() => chapterSlides(chapter), [chapter]);
+  const [current, goTo] = useSlideIndex(slides.length);
+  const slide = slides[current];
+  const next = slides[current + 1];
+  const scrollRef = useRef(null);
+  const markProgress = useContext(ProgressContext)?.mark;
+  const setActiveSection = useContext(ActiveSectionContext);
+
+  // Latest state of every code block, so an audience window opened later catches up
+  const channelRef = useRef(null);
+  const blocksRef = useRef({});
+  const currentRef = useRef(current);
+  currentRef.current = current;
+  useEffect(() => {
+    const channel = openPresentationChannel(chapter.id);
+    if (!channel) return;
+    const sync = () => channel.postMessage({ type: "sync", slide: currentRef.current, blocks: blocksRef.current });
+    channel.onmessage = (e) => {
+      if (e.data?.type === "hello") sync();
+    };
+    channelRef.current = channel;
+    sync();
+    return () => {
+      channelRef.current = null;
+      channel.close();
+    };
+  }, [chapter.id]);
+  const publish = useCallback((key, state) => {
+    blocksRef.current[key] = state;
+    channelRef.current?.postMessage({ type: "block", key, state });
+  }, []);
+  const presentation = useMemo(() => ({ role: "presenter", publish }), [publish]);
+
+  useEffect(() => {
+    channelRef.current?.postMessage({ type: "slide", slide: current });
+    markProgress?.("visited", slides[current].sectionId);
+    setActiveSection?.(slides[current].sectionId);
+    scrollRef.current?.scrollTo(0, 0);
+  }, [current, slides, markProgress, setActiveSection]);
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.altKey || e.ctrlKey || e.metaKey || isTyping(e)) return;
+      if (e.key in SLIDE_KEYS) goTo(currentRef.current + SLIDE_KEYS[e.key]);
+      else if (e.key === "Home") goTo(0);
+      else if (e.key === "End") goTo(slides.length - 1);
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [goTo, slides.length]);
+
+  const openAudience = () =>
+    window.open(routeHref(`${chapter.id}/audience`), `ch05-audience-${chapter.id}`, "popup,width=1280,height=800");
+
+  return (
+    <PresentationContext.Provider value={presentation}>
+      <div className="flex h-screen flex-col bg-slate-950 text-gray-100">
+        <header className="flex flex-wrap items-center gap-2 border-b border-white/10 px-4 py-2">
+          <RouteLink to={chapter.id} className="rounded-lg bg-gray-700 px-3 py-1.5 text-sm text-gray-100 hover:bg-gray-600">
+            ← Exit
+          </RouteLink>
+          <button
+            onClick={() => goTo(current - 1)}
+            disabled={current === 0}
+            className="rounded-lg bg-gray-700 px-3 py-1.5 text-sm text-gray-100 hover:bg-gray-600 disabled:opacity-40"
+          >
+            ◀ Prev
+          </button>
+          <span className="text-sm text-gray-300">{current + 1} / {slides.length}</span>
+          <button
+            onClick={() => goTo(current + 1)}
+            disabled={!next}
+            className="rounded-lg bg-gray-700 px-3 py-1.5 text-sm text-gray-100 hover:bg-gray-600 disabled:opacity-40"
+          >
+            Next ▶
+          </button>
+          <button
+            onClick={openAudience}
+            className="rounded-lg bg-indigo-600 px-3 py-1.5 text-sm font-medium text-white hover:bg-indigo-500"
+            title="Open the slide view for the projector; it follows this window"
+          >
+            Open audience window
+          </button>
+          <RunScopeButton scope={slide.sectionId} label="Run section" />
+          <div className="ml-auto flex items-center gap-2">
+            {timer.length > 0 && <LectureTimer timer={timer} chapterId={chapter.id} />}
+          </div>
+        </header>
+        <div className="grid min-h-0 flex-1 grid-cols-1 gap-4 p-4 lg:grid-cols-[1fr_340px]">
+          <main ref={scrollRef} className="min-h-0 overflow-auto rounded-2xl border border-white/10 bg-gray-900/40 p-6">
+            {/* Every slide stays mounted (just hidden) so code blocks keep their output */}
+            {slides.map((s, i) => (
+              <div key={s.id} className={classNames(i !== current && "hidden")}>
+                <SlideContent slide={s} />
+              </div>
+            ))}
+          </main>
+          <aside className="min-h-0 space-y-4 overflow-auto">
+            <div className="rounded-2xl border border-white/10 bg-gray-900/60 p-3">
+              <p className="mb-2 text-sm font-semibold text-gray-200">Speaker notes</p>
+              {slide.notes.length ? (
+                <ChapterBlocks blocks={slide.notes} />
+              ) : (
+                <p className="text-xs text-gray-400">No notes for this slide.</p>
+              )}
+            </div>
+            <div className="rounded-2xl border border-white/10 bg-gray-900/60 p-3">
+              <p className="mb-2 text-sm font-semibold text-gray-200">Next</p>
+              {next ? <SlidePreview slide={next} /> : <p className="text-xs text-gray-400">Last slide.</p>}
+            </div>
+            <p className="text-[10px] text-gray-500">← / → or PageUp / PageDown to change slides • Home / End for the first / last</p>
+          </aside>
+        </div>
+      </div>
+    </PresentationContext.Provider>
+  );
+};
+
+// Projector view: follows the presenter window of the same browser
+const AudienceView = ({ chapter }) => {
+  const slides = useMemo(() => chapterSlides(chapter), [chapter]);
+  const [synced, setSynced] = useState({ slide: null, blocks: {} });
+  const [supported] = useState(() => typeof BroadcastChannel !== "undefined");
+  const scrollRef = useRef(null);
+
+  useEffect(() => {
+    const channel = openPresentationChannel(chapter.id);
+    if (!channel) return;
+    channel.onmessage = ({ data }) => {
+      if (data?.type === "sync") setSynced({ slide: data.slide, blocks: data.blocks });
+      else if (data?.type === "slide") setSynced((s) => ({ ...s, slide: data.slide }));
+      else if (data?.type === "block") setSynced((s) => ({ ...s, blocks: { ...s.blocks, [data.key]: data.state } }));
+    };
+    channel.postMessage({ type: "hello" });
+    return () => channel.close();
+  }, [chapter.id]);
+
+  useEffect(() => {
+    scrollRef.current?.scrollTo(0, 0);
+  }, [synced.slide]);
+
+  const presentation = useMemo(() => ({ role: "audience", blocks: synced.blocks }), [synced.blocks]);
+  const slide = slides[synced.slide];
+
+  return (
+    <PresentationContext.Provider value={presentation}>
+      <div className="flex h-screen flex-col bg-slate-950 text-gray-100">
+        <main ref={scrollRef} className="min-h-0 flex-1 overflow-auto px-8 py-8">
+          {slide ? (
+            <div className="mx-auto max-w-5xl [zoom:1.25]">
+              <SlideContent slide={slide} />
+            </div>
+          ) : (
+            <div className="flex h-full flex-col items-center justify-center gap-2 text-center text-gray-300">
+              <p className="text-xl">{chapter.title}</p>
+              <p className="text-sm text-gray-400">
+                {supported
+                  ? "Waiting for the presenter… Start presenter mode for this chapter in another window of this browser."
+                  : "This browser can't sync windows (no BroadcastChannel)."}
+              </p>
+            </div>
+          )}
+        </main>
+        <footer className="flex items-center gap-3 border-t border-white/10 px-4 py-2 text-xs text-gray-400">
+          <span>{chapter.title}</span>
+          {slide && <span className="ml-auto">{synced.slide + 1} / {slides.length}</span>}
+          <button
+            onClick={() => document.documentElement.requestFullscreen?.()}
+            className={classNames("rounded-md bg-gray-700 px-2 py-1 text-gray-100 hover:bg-gray-600", !slide && "ml-auto")}
+          >
+            Full screen
+          </button>
+        </footer>
+      </div>
+    </PresentationContext.Provider>
+  );
+};
+
+// -----------------------------
+// Notebook export (see notebook.js)
+// -----------------------------
+const ExportMenu = ({ chapter }) => {
+  const [open, setOpen] = useState(false);
+  const buttonRef = useRef(null);
+  useEscapeToClose(open, setOpen, buttonRef);
+  const registry = useContext(RunRegistryContext);
+
+  // The learner's code and output per block; a block that isn't mounted falls back to its saved edit
+  const cellState = (sectionId, index, code) =>
+    registry?.blockState(sectionId, index) ?? { source: readStored(codeStorageKey(chapter.id, sectionId, index)) ?? code, outputs: [] };
+
+  const exportAs = (format) => {
+    if (format === "ipynb") {
+      const notebook = JSON.stringify(chapterNotebook(chapter, cellState), null, 1);
+      downloadBlob(new Blob([notebook], { type: "application/x-ipynb+json" }), `${chapter.id}.ipynb`);
+    } else if (format === "py") {
+      downloadBlob(new Blob([chapterScript(chapter, cellState)], { type: "text/x-python" }), `${chapter.id}.py`);
+    } else {
+      // Blocks that ran cleanly; `source` includes the parameter assignments, as in the block's key
+      const blocks = chapterCells(chapter, cellState)
+        .filter((c) => c.type === "code" && !c.error && !c.message)
+        .map((c) => ({ source: c.source, theme: c.figureTheme, outputs: c.outputs }));
+      const snapshot = JSON.stringify(outputSnapshot(chapter.id, blocks));
+      downloadBlob(new Blob([snapshot], { type: "application/json" }), `${chapter.id}.json`);
+    }
+    setOpen(false);
+  };
+
+  return (
+    <div className="relative">
+      <button
+        ref={buttonRef}
+        onClick={() => setOpen((o) => !o)}
+        aria-expanded={open}
+        className="rounded-lg bg-gray-700 px-3 py-1.5 text-sm text-gray-100 hover:bg-gray-600"
+        title="Take the chapter (with your edits) to Jupyter, Colab or an editor"
+      >
+        Export ▾
+      </button>
+      {open && (
+        <div className="absolute right-0 top-full z-50 mt-2 w-72 space-y-2 rounded-xl border border-white/10 bg-gray-900 p-3 text-sm shadow-xl">
+          <button onClick={() => exportAs("ipynb")} className="block w-full rounded-lg px-3 py-2 text-left hover:bg-gray-800">
+            <span className="block font-medium">Notebook (.ipynb)</span>
+            <span className="block text-xs text-gray-400">Prose, your code and its current output, for Jupyter or Colab</span>
+          </button>
+          <button onClick={() => exportAs("py")} className="block w-full rounded-lg px-3 py-2 text-left hover:bg-gray-800">
+            <span className="block font-medium">Python script (.py)</span>
+            <span className="block text-xs text-gray-400">Your code with the prose as comments (# %% cells)</span>
+          </button>
+          <div className="border-t border-white/10 pt-2">
+            <button onClick={() => exportAs("snapshot")} className="block w-full rounded-lg px-3 py-2 text-left hover:bg-gray-800">
+              <span className="block font-medium">Output snapshot (.json)</span>
+              <span className="block text-xs text-gray-400">
+                For instructors: after Run all, save as public/snapshots/{chapter.id}.json so every learner sees these outputs on load
+              </span>
+            </button>
+            <button
+              onClick={() => {
+                clearCachedOutputs();
+                setOpen(false);
+              }}
+              className="block w-full rounded-lg px-3 py-2 text-left hover:bg-gray-800"
+            >
+              <span className="block font-medium">Clear cached outputs</span>
+              <span className="block text-xs text-gray-400">Forget the outputs this browser saved from your runs</span>
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// -----------------------------
+// Navigation: outline (scroll-spy) and study tips, in the sidebar or the mobile drawer
+// -----------------------------
+const ChapterNav = ({ chapter, progress, activeSection, onNavigate }) => (
+  <>
+    <div className="rounded-2xl border border-white/10 bg-gray-900/60 p-3">
+      <p className="mb-2 text-lg font-semibold text-gray-200">Outline</p>
+      <ul className="space-y-1 text-sm">
+        {chapter.sections.map((t) => (
+          <li key={t.id}>
+            <a
+              href={`#${t.id}`}
+              onClick={() => {
+                // Same hash again: no hashchange, but the section should still open
+                if (window.location.hash === `#${t.id}`) window.dispatchEvent(new HashChangeEvent("hashchange"));
+                onNavigate?.();
+              }}
+              aria-current={t.id === activeSection ? "location" : undefined}
+              className={classNames(
+                "flex items-baseline rounded-lg px-2 py-1 hover:bg-gray-800 hover:text-white",
+                t.id === activeSection ? "bg-gray-800 text-white" : "text-gray-500"
+              )}
+            >
+              <span>
+                {t.label}
+                {t.duration ? <span className="ml-2 text-sm text-gray-400">({t.duration}m)</span> : null}
+              </span>
+              <span className="ml-auto pl-2">
+                <CompletionMark completion={sectionCompletion(t, progress)} />
+              </span>
+            </a>
+          </li>
+        ))}
+      </ul>
+    </div>
+    {chapter.tips.length > 0 && (
+      <div className="rounded-2xl border border-white/10 bg-gray-900/60 p-3">
+        <p className="mb-2 text-lg font-semibold text-gray-200">Study Tips</p>
+        <ul className="list-disc pl-5 text-sm text-gray-300">
+          {chapter.tips.map((s, i) => (
+            <li key={i} className="mb-1">{s}</li>
+          ))}
+        </ul>
+      </div>
+    )}
+  </>
+);
+
+// Slide-out panel for small screens (the sidebar is hidden below md)
+const NavDrawer = ({ open, onClose, children }) => {
+  const closeRef = useRef(null);
+  useEffect(() => {
+    if (!open) return;
+    closeRef.current?.focus();
+    const onKey = (e) => e.key === "Escape" && onClose();
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [open, onClose]);
+
+  return (
+    <div className={classNames("fixed inset-0 z-50 md:hidden", !open && "pointer-events-none")} inert={!open}>
+      <div
+        onClick={onClose}
+        className={classNames("absolute inset-0 bg-black/60 transition-opacity", open ? "opacity-100" : "opacity-0")}
+      />
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label="Outline and study tips"
+        className={classNames(
+          "absolute inset-y-0 left-0 w-72 max-w-[85vw] space-y-2 overflow-y-auto bg-slate-950 p-3 shadow-xl transition-transform",
+          open ? "translate-x-0" : "-translate-x-full"
+        )}
+      >
+        <div className="flex justify-end">
+          <button ref={closeRef} onClick={onClose} className="rounded-lg px-2 py-1 text-gray-300 hover:bg-gray-800" aria-label="Close the outline">
+            ✕
+          </button>
+        </div>
+        {children}
+      </div>
+    </div>
+  );
+};
+
+// -----------------------------
+// Chapter page
+// -----------------------------
+export default function ChapterPage({ chapter, view = null }) {
+  const [activeSection, setActiveSection] = useState(null);
+  const timer = useLectureTimer(chapter, activeSection);
+  const [drawerOpen, setDrawerOpen] = useState(false);
+  const closeDrawer = useCallback(() => setDrawerOpen(false), []);
+  const runRegistry = useRunRegistry();
+  const [figureSettings, setFigureSettings] = useFigureSettings();
+  const progress = useProgress(chapter.id);
+
+  useEffect(() => {
+    document.title = view ? `${chapter.title} (${view === "present" ? "presenter" : "audience"})` : chapter.title;
+  }, [chapter.title, view]);
+
+  return (
+    <ChapterContext.Provider value={chapter.id}>
+      <ActiveSectionContext.Provider value={setActiveSection}>
+        <ProgressContext.Provider value={progress}>
+          <RunRegistryContext.Provider value={runRegistry}>
+            <FigureSettingsContext.Provider value={figureSettings}>
+              {view === "present" ? (
+                <PresenterView chapter={chapter} timer={timer} />
+              ) : view === "audience" ? (
+                <AudienceView chapter={chapter} />
+              ) : (
+                <div className="min-h-screen bg-gradient-to-b from-slate-900 via-slate-900 to-black text-gray-100">
+                  {/* Header */}
+                  <header className="sticky top-0 z-40 border-b border-white/10 bg-slate-950/70 backdrop-blur">
+                    <div className="mx-auto flex max-w-6xl items-center justify-between px-4 py-3">
+                      <div className="flex items-center gap-3">
+                        <button
+                          onClick={() => setDrawerOpen(true)}
+                          className="rounded-lg bg-gray-800 px-2.5 py-1.5 text-lg leading-none md:hidden"
+                          aria-label="Open the outline"
+                          aria-expanded={drawerOpen}
+                        >
+                          ☰
+                        </button>
+                        <RouteLink to="" className="h-10 w-10 rounded-2xl bg-indigo-600/80 shadow" title="All chapters" />
+                        <div>
+                          <h1 className="text-lg font-semibold">{chapter.title}</h1>
+                          <p className="text-sm text-gray-300">{chapter.subtitle}</p>
+                        </div>
+                      </div>
+                      <div className="flex flex-wrap items-center justify-end gap-2">
+                        <ProgressMenu chapter={chapter} progress={progress.progress} onReset={progress.reset} />
+                        <FigureSettingsControl settings={figureSettings} onChange={setFigureSettings} />
+                        <ThemeControl />
+                        <RunScopeButton scope="all" label="Run all" />
+                        <ExportMenu chapter={chapter} />
+                        <RouteLink
+                          to={`${chapter.id}/present`}
+                          className="rounded-lg bg-gray-700 px-3 py-1.5 text-sm text-gray-100 hover:bg-gray-600"
+                          title="Show the chapter as slides, with speaker notes and an audience window"
+                        >
+                          Present
+                        </RouteLink>
+                        {timer.length > 0 && <LectureTimer timer={timer} chapterId={chapter.id} />}
+                      </div>
+                    </div>
+                  </header>
+
+                  <NavDrawer open={drawerOpen} onClose={closeDrawer}>
+                    <ChapterNav chapter={chapter} progress={progress.progress} activeSection={activeSection} onNavigate={closeDrawer} />
+                  </NavDrawer>
+
+                  <main className="mx-auto grid max-w-6xl grid-cols-1 gap-6 px-4 py-6 md:grid-cols-[260px_1fr]">
+                    {/* TOC */}
+                    <nav className="hidden md:block">
+                      <div className="sticky top-[4.5rem] space-y-2">
+                        <ChapterNav chapter={chapter} progress={progress.progress} activeSection={activeSection} />
+                      </div>
+                    </nav>
+
+                    {/* Content */}
+                    <div className="space-y-6">
+                      {chapter.sections.map((section) => (
+                        <Section
+                          key={section.id}
+                          id={section.id}
+                          title={section.title}
+                          duration={section.duration}
+                          defaultOpen={section.open}
+                        >
+                          <ChapterBlocks blocks={section.blocks} />
+                        </Section>
+                      ))}
+                    </div>
+                  </main>
+
+                  <footer className="mx-auto max-w-6xl px-4 pb-10 pt-2 text-center text-xs text-gray-400">
+                    © {new Date().getFullYear()} {chapter.title} | Lecture SPA
+                  </footer>
+                </div>
+              )}
+            </FigureSettingsContext.Provider>
+          </RunRegistryContext.Provider>
+        </ProgressContext.Provider>
+      </ActiveSectionContext.Provider>
+    </ChapterContext.Provider>
+  );
+}
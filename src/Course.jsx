@@ -0,0 +1,159 @@
+import { useEffect, useRef, useState } from "react";
+import ChapterPage from "./ChapterPage";
+import RouteLink from "./RouteLink";
+import { CHAPTERS, findChapter, importNotebook, loadImportedChapters, removeImportedChapter } from "./chapters";
+import { navigate, useRoute } from "./router";
+
+const COURSE_TITLE = "Lecture Chapters";
+
+// Notebooks imported in this browser; `chapters` is null until they're loaded
+function useImportedChapters() {
+  const [chapters, setChapters] = useState(null);
+  useEffect(() => {
+    let cancelled = false;
+    loadImportedChapters().then((list) => !cancelled && setChapters(list));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const add = async (file) => {
+    const chapter = await importNotebook(file);
+    setChapters((list) => [...(list || []).filter((c) => c.id !== chapter.id), chapter]);
+    return chapter;
+  };
+  const remove = (id) => {
+    removeImportedChapter(id);
+    setChapters((list) => list.filter((c) => c.id !== id));
+  };
+  return { chapters, add, remove };
+}
+
+const ChapterLink = ({ chapter }) => (
+  <RouteLink
+    to={chapter.id}
+    className="block rounded-2xl border border-white/10 bg-gray-900/60 p-4 hover:bg-gray-800/70"
+  >
+    <p className="font-medium">{chapter.title}</p>
+    <p className="text-sm text-gray-400">
+      {chapter.imported || chapter.subtitle}
+      {(chapter.imported || chapter.subtitle) && " • "}
+      {chapter.sections.length} sections
+    </p>
+  </RouteLink>
+);
+
+// Drop or pick a .ipynb file; opens it as a chapter page once imported
+const NotebookImport = ({ onImport }) => {
+  const [dragging, setDragging] = useState(false);
+  const [error, setError] = useState(null);
+  const inputRef = useRef(null);
+
+  const importFile = async (file) => {
+    if (!file) return;
+    setError(null);
+    try {
+      const chapter = await onImport(file);
+      navigate(chapter.id);
+    } catch (e) {
+      setError(String(e?.message || e));
+    }
+  };
+
+  return (
+    <div
+      onDragOver={(e) => { e.preventDefault(); setDragging(true); }}
+      onDragLeave={() => setDragging(false)}
+      onDrop={(e) => {
+        e.preventDefault();
+        setDragging(false);
+        importFile(e.dataTransfer.files[0]);
+      }}
+      className={`rounded-2xl border-2 border-dashed p-4 text-center text-sm text-gray-400 ${
+        dragging ? "border-indigo-400 bg-indigo-500/10" : "border-white/15"
+      }`}
+    >
+      Drop a Jupyter notebook (.ipynb) here, or{" "}
+      <button onClick={() => inputRef.current?.click()} className="text-indigo-300 underline hover:text-indigo-200">
+        browse
+      </button>
+      , to open it as a lecture page with runnable code. It stays in this browser.
+      <input
+        ref={inputRef}
+        type="file"
+        accept=".ipynb"
+        hidden
+        onChange={(e) => {
+          importFile(e.target.files[0]);
+          e.target.value = "";
+        }}
+      />
+      {error && <p className="mt-2 text-xs text-rose-300">{error}</p>}
+    </div>
+  );
+};
+
+const CourseIndex = ({ notFound, imported }) => {
+  useEffect(() => {
+    document.title = COURSE_TITLE;
+  }, []);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-slate-900 via-slate-900 to-black text-gray-100">
+      <main className="mx-auto max-w-3xl px-4 py-10">
+        <h1 className="mb-1 text-2xl font-semibold">{COURSE_TITLE}</h1>
+        <p className="mb-6 text-sm text-gray-300">Lecture chapters with runnable Python examples.</p>
+        {notFound && (
+          <p className="mb-6 rounded-lg bg-amber-900/40 p-3 text-sm text-amber-100">
+            There is no chapter “{notFound}”. Pick one below.
+          </p>
+        )}
+        <ul className="space-y-3">
+          {CHAPTERS.map((chapter) => (
+            <li key={chapter.id}>
+              <ChapterLink chapter={chapter} />
+            </li>
+          ))}
+        </ul>
+
+        <h2 className="mb-3 mt-10 text-lg font-semibold">Your notebooks</h2>
+        {imported.chapters?.length > 0 && (
+          <ul className="mb-3 space-y-3">
+            {imported.chapters.map((chapter) => (
+              <li key={chapter.id} className="flex items-center gap-2">
+                <div className="flex-1">
+                  <ChapterLink chapter={chapter} />
+                </div>
+                <button
+                  onClick={() => imported.remove(chapter.id)}
+                  className="rounded-lg bg-gray-700 px-3 py-1.5 text-xs text-gray-100 hover:bg-gray-600"
+                  title="Remove this notebook from the browser"
+                >
+                  Remove
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        <NotebookImport onImport={imported.add} />
+      </main>
+    </div>
+  );
+};
+
+// Chapter views besides the page itself: presenter mode and its audience window
+const VIEWS = ["present", "audience"];
+
+// Top-level router: the course index at the base path, chapters at <base>/<chapter id>[/<view>]
+export default function Course() {
+  const route = useRoute();
+  const imported = useImportedChapters();
+  if (!route) return <CourseIndex imported={imported} />;
+  const [id, view = null, ...rest] = route.split("/");
+  const chapter = findChapter(id) || imported.chapters?.find((c) => c.id === id);
+  // An imported notebook's page can't be told apart from a bad link until they've loaded
+  if (!chapter && imported.chapters === null) return null;
+  if (!chapter || rest.length || (view && !VIEWS.includes(view))) return <CourseIndex notFound={route} imported={imported} />;
+  // Keyed so per-chapter state (timer, run registry) starts fresh on navigation
+  return <ChapterPage key={chapter.id} chapter={chapter} view={view} />;
+}
@@ -0,0 +1,27 @@
+import { useEffect, useRef } from "react";
+
+// A figure's Vega-Lite spec (built by _vega_spec in pyodide.worker.js) with tooltips,
+// zoom/pan and legend toggling. vega-embed is loaded on first use, so pages that only
+// show static images never download it.
+const InteractiveChart = ({ spec, label, onError }) => {
+  const ref = useRef(null);
+  useEffect(() => {
+    let cancelled = false;
+    let result = null;
+    import("vega-embed")
+      .then(({ default: embed }) => !cancelled && embed(ref.current, spec, { actions: false }))
+      .then((embedded) => {
+        if (!embedded) return;
+        if (cancelled) embedded.finalize();
+        else result = embedded;
+      })
+      .catch((err) => !cancelled && onError(err));
+    return () => {
+      cancelled = true;
+      result?.finalize();
+    };
+  }, [spec, onError]);
+  return <div ref={ref} role="img" aria-label={label} className="w-full overflow-hidden rounded-md border border-white/10" />;
+};
+
+export default InteractiveChart;
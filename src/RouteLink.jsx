@@ -0,0 +1,18 @@
+import { navigate, routeHref } from "./router";
+
+// <a> to an in-app route; modified clicks (new tab etc.) fall through to the browser
+const RouteLink = ({ to, children, ...props }) => (
+  <a
+    {...props}
+    href={routeHref(to)}
+    onClick={(e) => {
+      if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+      e.preventDefault();
+      navigate(to);
+    }}
+  >
+    {children}
+  </a>
+);
+
+export default RouteLink;
@@ -0,0 +1,271 @@
+/**
+ * Chapter file format: Markdown with YAML front matter and a few block extensions.
+ *
+ *   ---
+ *   title: "Chapter 5: Data Visualization"
+ *   subtitle: Senior Level • 80-minute lecture
+ *   minutes: 80                 # lecture length (header timer)
+ *   tips: [ ... ]               # "Study Tips" sidebar
+ *   ---
+ *
+ *   ## 1) Introduction {#intro label="1. Introduction" duration=10}
+ *
+ * Every `##` heading starts a section; `{...}` sets its anchor id (unique; without
+ * one, repeated titles get -2, -3 …), outline label, duration in minutes and
+ * `open=false` to start collapsed. Inside a section:
+ *
+ *   ```python                 runnable code block (```python {timeout=120} to override the run timeout)
+ *   ```params                 right after a ```python block: YAML list of parameter widgets
+ *                             (slider, select, checkbox, color) bound to its variables (see params.js)
+ *   ```quiz                   YAML list of questions (types: see quiz.js);
+ *                             ```quiz {shuffle=true attempts=2} to shuffle / limit submissions
+ *   ### Heading               sub-heading
+ *   :::grid ... :::           two-column grid; each ### heading starts a cell
+ *   :::box Title ... :::      highlighted box
+ *   :::notes ... :::          speaker notes (Markdown) for the slide they're on; shown only in
+ *                             presenter mode (see presentation.js)
+ *   :::exercise Title ... :::  auto-graded exercise: instructions (Markdown), one ```python block
+ *                             with the starter code, a ```solution block (hidden until asked for)
+ *                             and a ```checks block (YAML list, see exercises.js)
+ *   ::datasets                built-in widget (see WIDGETS in ChapterPage.jsx)
+ *
+ * Anything else is regular Markdown. Other fenced languages render as plain code.
+ */
+
+import { marked } from "marked";
+import YAML from "yaml";
+import { normalizeCheck } from "./exercises";
+import { normalizeParam } from "./params";
+import { validateQuestion } from "./quiz";
+
+const FENCE = /^```\s*([\w-]*)\s*(\{.*\})?\s*$/;
+const CONTAINER_OPEN = /^:::(\w[\w-]*)\s*(.*)$/;
+const CONTAINER_CLOSE = /^:::\s*$/;
+const WIDGET = /^::(\w[\w-]*)\s*$/;
+const HEADING = /^(#{1,3})\s+(.*?)\s*(\{.*\})?\s*$/;
+
+// `{#id key=value key="quoted value"}` → { id, key: value, ... }
+export function parseAttrs(raw) {
+  const attrs = {};
+  if (!raw) return attrs;
+  for (const [, id, key, quoted, bare] of raw.slice(1, -1).matchAll(/#([\w-]+)|([\w-]+)=(?:"([^"]*)"|(\S+))/g)) {
+    if (id) attrs.id = id;
+    else if (key) attrs[key] = quoted ?? coerce(bare);
+  }
+  return attrs;
+}
+
+const coerce = (v) => (v === "true" ? true : v === "false" ? false : /^-?\d+(\.\d+)?$/.test(v) ? Number(v) : v);
+
+export const slugify = (text) =>
+  text.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "section";
+
+class ChapterSyntaxError extends Error {
+  constructor(file, line, message) {
+    super(`${file}:${line}: ${message}`);
+    this.name = "ChapterSyntaxError";
+  }
+}
+
+// A closed :::exercise container: its python block becomes the starter code
+function toExercise(container, file, lineNo) {
+  const codeBlocks = container.blocks.filter((b) => b.type === "code");
+  if (codeBlocks.length !== 1) throw new ChapterSyntaxError(file, lineNo, "an exercise needs exactly one ```python starter block");
+  if (!container.checks?.length) throw new ChapterSyntaxError(file, lineNo, "an exercise needs a ```checks block");
+  return {
+    type: "exercise",
+    title: container.title || "Exercise",
+    blocks: container.blocks.filter((b) => b.type !== "code"),
+    code: codeBlocks[0],
+    solution: container.solution || null,
+    checks: container.checks,
+  };
+}
+
+// A ### heading belongs with the blocks that follow it (one grid cell, one slide)
+export const groupByHeading = (blocks) =>
+  blocks.reduce((groups, block) => {
+    if (block.type === "heading" || !groups.length) groups.push({ heading: null, blocks: [] });
+    if (block.type === "heading") groups[groups.length - 1].heading = block.text;
+    else groups[groups.length - 1].blocks.push(block);
+    return groups;
+  }, []);
+
+/**
+ * Parse a chapter file into
+ *   { id, title, subtitle, minutes, tips, sections: [{ id, title, label, duration, open, blocks }] }
+ * where blocks are
+ *   { type: "markdown", html, source } | { type: "heading", text } | { type: "code", code, index, timeout?, params? }
+ *   | { type: "quiz", questions, index, shuffle?, attempts? } | { type: "grid" | "box", title?, blocks }
+ *   | { type: "exercise", title, blocks, code: <code block>, solution, checks } | { type: "widget", name }
+ *   | { type: "notes", blocks }
+ * Code blocks and quizzes are numbered per section in document order (`index`), which keys
+ * their saved state.
+ */
+export function parseChapter(source, id) {
+  const file = `${id}.md`;
+  let meta = {};
+  let body = source.replace(/\r\n/g, "\n");
+  let lineOffset = 0;
+  const front = /^---\n([\s\S]*?)\n---\n/.exec(body);
+  if (front) {
+    meta = YAML.parse(front[1]) || {};
+    body = body.slice(front[0].length);
+    lineOffset = front[0].split("\n").length - 1;
+  }
+
+  const sections = [];
+  const sectionIds = new Set();
+  let section = null;
+  let codeIndex = 0;
+  let quizIndex = 0;
+  const stack = []; // open ::: containers
+  let markdown = [];
+
+  const target = () => (stack.length ? stack[stack.length - 1].blocks : section.blocks);
+  const flush = () => {
+    if (section && markdown.join("").trim()) {
+      const source = markdown.join("\n").replace(/^(\s*\n)+|\s+$/g, "");
+      target().push({ type: "markdown", html: marked.parse(source), source });
+    }
+    markdown = [];
+  };
+
+  const lines = body.split("\n");
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const lineNo = i + 1 + lineOffset;
+    const heading = HEADING.exec(line);
+
+    if (heading && heading[1] === "##") {
+      flush();
+      if (stack.length) throw new ChapterSyntaxError(file, lineNo, `section heading inside :::${stack[stack.length - 1].type}`);
+      const attrs = parseAttrs(heading[3]);
+      // Ids key anchors, progress and saved code: an explicit one must be unique, a
+      // title's slug gets a suffix (like notebook headings)
+      if (attrs.id && sectionIds.has(attrs.id)) throw new ChapterSyntaxError(file, lineNo, `duplicate section id #${attrs.id}`);
+      let id = attrs.id || slugify(heading[2]);
+      for (let n = 2; sectionIds.has(id); n++) id = `${slugify(heading[2])}-${n}`;
+      sectionIds.add(id);
+      section = {
+        id,
+        title: heading[2],
+        label: attrs.label || heading[2],
+        duration: attrs.duration,
+        open: attrs.open !== false,
+        blocks: [],
+      };
+      codeIndex = 0;
+      quizIndex = 0;
+      sections.push(section);
+      continue;
+    }
+    if (!section) {
+      // Text before the first section (e.g. a "# Title" line) isn't rendered
+      if (line.startsWith("```")) throw new ChapterSyntaxError(file, lineNo, "code block before the first ## section");
+      continue;
+    }
+    if (heading && heading[1] === "###") {
+      flush();
+      target().push({ type: "heading", text: heading[2] });
+      continue;
+    }
+
+    const fence = FENCE.exec(line);
+    if (fence && ["python", "params", "quiz", "solution", "checks"].includes(fence[1])) {
+      flush();
+      const start = i;
+      const content = [];
+      for (i++; i < lines.length && !/^```\s*$/.test(lines[i]); i++) content.push(lines[i]);
+      if (i >= lines.length) throw new ChapterSyntaxError(file, start + 1 + lineOffset, "unclosed ``` block");
+      const text = content.join("\n");
+      const exercise = stack[stack.length - 1]?.type === "exercise" ? stack[stack.length - 1] : null;
+      if ((fence[1] === "solution" || fence[1] === "checks") && !exercise) {
+        throw new ChapterSyntaxError(file, start + 1 + lineOffset, `\`\`\`${fence[1]} outside an :::exercise`);
+      }
+      if (fence[1] === "solution") {
+        exercise.solution = text;
+      } else if (fence[1] === "checks") {
+        try {
+          const checks = YAML.parse(text);
+          if (!Array.isArray(checks)) throw new Error("expected a list");
+          exercise.checks = checks.map(normalizeCheck);
+        } catch (e) {
+          throw new ChapterSyntaxError(file, start + 1 + lineOffset, `invalid checks: ${e.message}`);
+        }
+      } else if (fence[1] === "python") {
+        target().push({ type: "code", code: text, index: codeIndex++, ...parseAttrs(fence[2]) });
+      } else if (fence[1] === "params") {
+        const code = target()[target().length - 1];
+        if (code?.type !== "code" || code.params) {
+          throw new ChapterSyntaxError(file, start + 1 + lineOffset, "```params must directly follow a ```python block");
+        }
+        try {
+          const params = YAML.parse(text);
+          if (!Array.isArray(params) || !params.length) throw new Error("expected a list");
+          code.params = params.map(normalizeParam);
+          const names = code.params.map((p) => p.name);
+          const repeated = names.find((n, j) => names.indexOf(n) !== j);
+          if (repeated) throw new Error(`${repeated} is declared twice`);
+        } catch (e) {
+          throw new ChapterSyntaxError(file, start + 1 + lineOffset, `invalid params: ${e.message}`);
+        }
+      } else {
+        let questions;
+        try {
+          questions = YAML.parse(text);
+        } catch (e) {
+          throw new ChapterSyntaxError(file, start + 1 + lineOffset, `invalid quiz YAML: ${e.message}`);
+        }
+        if (!Array.isArray(questions)) throw new ChapterSyntaxError(file, start + 1 + lineOffset, "a quiz must be a list of questions");
+        const problem = questions.map(validateQuestion).find(Boolean);
+        if (problem) throw new ChapterSyntaxError(file, start + 1 + lineOffset, problem);
+        target().push({ type: "quiz", questions, index: quizIndex++, ...parseAttrs(fence[2]) });
+      }
+      continue;
+    }
+    if (fence) {
+      // Non-runnable code: hand the whole block to Markdown untouched
+      const start = i;
+      markdown.push(line);
+      for (i++; i < lines.length && !/^```\s*$/.test(lines[i]); i++) markdown.push(lines[i]);
+      if (i >= lines.length) throw new ChapterSyntaxError(file, start + 1 + lineOffset, "unclosed ``` block");
+      markdown.push(lines[i]);
+      continue;
+    }
+
+    if (CONTAINER_CLOSE.test(line)) {
+      flush();
+      if (!stack.length) throw new ChapterSyntaxError(file, lineNo, "::: without an open container");
+      const container = stack.pop();
+      target().push(container.type === "exercise" ? toExercise(container, file, lineNo) : container);
+      continue;
+    }
+    const open = CONTAINER_OPEN.exec(line);
+    if (open) {
+      flush();
+      if (!["grid", "box", "exercise", "notes"].includes(open[1])) throw new ChapterSyntaxError(file, lineNo, `unknown container :::${open[1]}`);
+      if (stack.some((c) => c.type === "notes")) throw new ChapterSyntaxError(file, lineNo, `:::${open[1]} inside :::notes`);
+      stack.push({ type: open[1], title: open[2] || undefined, blocks: [] });
+      continue;
+    }
+    const widget = WIDGET.exec(line);
+    if (widget) {
+      flush();
+      target().push({ type: "widget", name: widget[1] });
+      continue;
+    }
+    markdown.push(line);
+  }
+  flush();
+  if (stack.length) throw new ChapterSyntaxError(file, lines.length + lineOffset, `unclosed :::${stack[stack.length - 1].type}`);
+
+  return {
+    id,
+    title: meta.title || id,
+    subtitle: meta.subtitle || "",
+    minutes: meta.minutes || 0,
+    tips: meta.tips || [],
+    sections,
+  };
+}
@@ -0,0 +1,64 @@
+/**
+ * Course chapters: every src/chapters/*.md chapter file and *.ipynb Jupyter notebook,
+ * parsed at startup. The file name (without extension) is the chapter id and its URL
+ * path; chapters are listed in file-name order, so prefix them with their number.
+ *
+ * Learners and instructors can also import notebooks in the browser; those are kept in
+ * IndexedDB and get ids starting with IMPORTED_PREFIX.
+ */
+
+import { parseChapter, slugify } from "../chapterFormat";
+import { idbAll, idbDelete, idbPut } from "../idb";
+import { notebookChapter } from "../notebook";
+
+const sources = import.meta.glob("./*.md", { query: "?raw", import: "default", eager: true });
+const notebooks = import.meta.glob("./*.ipynb", { query: "?raw", import: "default", eager: true });
+
+export const CHAPTERS = [
+  ...Object.entries(sources).map(([path, source]) => parseChapter(source, path.slice(2, -3))),
+  ...Object.entries(notebooks).map(([path, source]) => notebookChapter(source, path.slice(2, -6))),
+].sort((a, b) => a.id.localeCompare(b.id));
+
+export const findChapter = (id) => CHAPTERS.find((c) => c.id === id) || null;
+
+// ---- Imported notebooks (IndexedDB "notebooks" store, keyed by chapter id) ----
+export const IMPORTED_PREFIX = "nb-";
+
+const importedChapter = (stored) => ({ ...notebookChapter(stored.source, stored.id, stored.name), imported: stored.name });
+
+// Imported chapters in import order; a stored notebook that no longer parses is skipped
+export async function loadImportedChapters() {
+  let stored;
+  try {
+    stored = await idbAll("notebooks");
+  } catch {
+    return [];
+  }
+  return stored
+    .sort((a, b) => a.addedAt - b.addedAt)
+    .flatMap((n) => {
+      try {
+        return [importedChapter(n)];
+      } catch (e) {
+        console.warn(e);
+        return [];
+      }
+    });
+}
+
+// Parse and store a notebook file (re-importing a file name replaces it); throws if it isn't one
+export async function importNotebook(file) {
+  const stored = {
+    id: IMPORTED_PREFIX + slugify(file.name.replace(/\.ipynb$/i, "")),
+    name: file.name,
+    source: await file.text(),
+    addedAt: Date.now(),
+  };
+  const chapter = importedChapter(stored);
+  await idbPut("notebooks", stored.id, stored).catch(() => {
+    // Not persisted (e.g. private mode): still usable until the page is closed
+  });
+  return chapter;
+}
+
+export const removeImportedChapter = (id) => idbDelete("notebooks", id).catch(() => {});
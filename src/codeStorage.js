@@ -0,0 +1,26 @@
+/**
+ * Where code blocks keep the learner's edits: localStorage, one key per block
+ * (see useEditableCode in ChapterPage.jsx).
+ */
+
+export const codeStorageKey = (chapterId, sectionId, index) => `ch05:code:${chapterId}:${sectionId}:${index}`;
+
+// Chapter 05's edits from before there were chapter files, saved as ch05:code:<section>:<index>
+const LEGACY_CHAPTER = "05-data-visualization";
+const LEGACY_KEY = /^ch05:code:([^:]+):(\d+)$/;
+
+// Called once before the first render: moves those edits to the chapter's keys (an
+// edit already under the new key wins)
+export function migrateLegacyCode() {
+  try {
+    const storage = window.localStorage;
+    for (const key of Object.keys(storage).filter((k) => LEGACY_KEY.test(k))) {
+      const [, sectionId, index] = key.match(LEGACY_KEY);
+      const target = codeStorageKey(LEGACY_CHAPTER, sectionId, index);
+      if (storage.getItem(target) === null) storage.setItem(target, storage.getItem(key));
+      storage.removeItem(key);
+    }
+  } catch {
+    // Storage unavailable or full: the old edits stay where they are
+  }
+}
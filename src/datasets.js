@@ -0,0 +1,26 @@
+/**
+ * Example datasets bundled with the app (public/datasets/<name>.csv).
+ *
+ * On runtime load every registered file is written into the Pyodide filesystem at
+ * DATASET_DIR, which is also seaborn's data home — so `sns.load_dataset(name)` reads
+ * the local copy instead of the network, and `pd.read_csv(f"{DATASET_DIR}/tips.csv")`
+ * works too. To add a dataset: add an entry here, then `npm run fetch:datasets` (or
+ * drop the CSV into public/datasets/ yourself) and commit the file.
+ *
+ * Kept free of browser/Vite APIs so scripts/fetch-datasets.js can import it.
+ */
+
+export const DATASET_DIR = "/data/seaborn";
+
+// Upstream copies of the seaborn example datasets, used by the fetch script
+export const SEABORN_DATA_URL = "https://raw.githubusercontent.com/mwaskom/seaborn-data/master/";
+
+export const DATASETS = [
+  { name: "tips", title: "Restaurant tips (244 rows)" },
+  { name: "titanic", title: "Titanic passengers (891 rows)" },
+  { name: "iris", title: "Iris flower measurements (150 rows)" },
+  { name: "penguins", title: "Palmer penguins (344 rows)" },
+  { name: "flights", title: "Monthly airline passengers 1949–1960 (144 rows)" },
+];
+
+export const datasetFile = (name) => `${name}.csv`;
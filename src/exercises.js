@@ -0,0 +1,79 @@
+/**
+ * Exercise checks (the ```checks block of a chapter's :::exercise). Each check is
+ * evaluated in Python against the figures the learner's run produced (see _CHECKS in
+ * pyodide.worker.js); this module holds their labels, hints and validation.
+ *
+ * In a chapter file, a check is either a bare name or a one-key mapping with its
+ * argument, optionally overriding the label and hint:
+ *   - title
+ *   - subplots: 3
+ *   - plot: scatter
+ *     hint: Use plt.scatter(x, y) for two numeric columns.
+ */
+
+export const PLOT_KINDS = ["line", "scatter", "bar", "hist", "pie", "heatmap"];
+
+const PLOT_HINTS = {
+  line: "Draw a line plot with plt.plot(x, y) (or sns.lineplot).",
+  scatter: "Draw a scatter plot with plt.scatter(x, y) (or sns.scatterplot).",
+  bar: "Draw a bar chart with plt.bar(categories, values) (or sns.barplot / sns.countplot).",
+  hist: "Draw a histogram with plt.hist(values, bins=...) (or sns.histplot).",
+  pie: "Draw a pie chart with plt.pie(sizes, labels=...).",
+  heatmap: "Draw a heatmap with sns.heatmap(matrix) (or plt.imshow).",
+};
+
+const CHECKS = {
+  title: {
+    label: () => "The plot has a title",
+    hint: () => "Add plt.title('...') (or ax.set_title / fig.suptitle).",
+  },
+  "axis-labels": {
+    label: () => "Both axes are labelled",
+    hint: () => "Label the axes with plt.xlabel('...') and plt.ylabel('...').",
+  },
+  legend: {
+    label: () => "A legend is shown",
+    hint: () => "Give each series a label='...', then call plt.legend().",
+  },
+  subplots: {
+    label: (n) => `At least ${n || 2} subplots`,
+    hint: (n) => `Create a grid of axes, e.g. fig, axes = plt.subplots(1, ${n || 2}).`,
+  },
+  annotation: {
+    label: () => "A key point is annotated",
+    hint: () => "Point at a value with plt.annotate('text', xy=(x, y), xytext=(x2, y2), arrowprops=dict(arrowstyle='->')).",
+  },
+  plot: {
+    label: (kind) => `Uses a ${kind} plot`,
+    hint: (kind) => PLOT_HINTS[kind],
+  },
+};
+
+/**
+ * `{ name, arg, label, hint }` for one authored check; throws with a readable
+ * message when it isn't valid.
+ */
+export function normalizeCheck(entry) {
+  let name = entry;
+  let arg = null;
+  let overrides = {};
+  if (entry && typeof entry === "object") {
+    const { label, hint, ...rest } = entry;
+    const keys = Object.keys(rest);
+    if (keys.length !== 1) throw new Error(`a check needs exactly one name (got ${keys.join(", ") || "none"})`);
+    [name] = keys;
+    arg = rest[name];
+    overrides = { label, hint };
+  }
+  if (!CHECKS[name]) throw new Error(`unknown check "${name}" (use ${Object.keys(CHECKS).join(", ")})`);
+  if (name === "plot" && !PLOT_KINDS.includes(arg)) throw new Error(`plot must be one of ${PLOT_KINDS.join(", ")}`);
+  if (name === "subplots" && arg !== null && !(Number.isInteger(arg) && arg > 0)) {
+    throw new Error("subplots needs a positive whole number");
+  }
+  return {
+    name,
+    arg,
+    label: overrides.label || CHECKS[name].label(arg),
+    hint: overrides.hint || CHECKS[name].hint(arg),
+  };
+}
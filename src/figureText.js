@@ -0,0 +1,73 @@
+/**
+ * Text alternatives for figures. Every figure a run captures carries a description
+ * under FIGURE_META_MIME (built by _describe_figure in pyodide.worker.js):
+ *
+ *   { title, axes: [{ title, xlabel, ylabel, kinds, x, y, legend, series }] }
+ *
+ * one entry per plot, with `x`/`y` { range: [lo, hi] } | { categories } | {} and
+ * `series` [{ name, kind, columns, rows, count, range? }], where `rows` holds at most
+ * the first 200 of the `count` data points (a heatmap has one row per y category).
+ *
+ * Simple figures (one plot of lines, points, bars or histograms) also carry a
+ * Vega-Lite version under VEGA_LITE_MIME (_vega_spec), shown by InteractiveChart.
+ */
+
+export const FIGURE_META_MIME = "application/vnd.lecture.figure+json";
+export const VEGA_LITE_MIME = "application/vnd.vegalite.v6+json";
+
+const KIND_NAMES = {
+  line: "line chart",
+  scatter: "scatter plot",
+  bar: "bar chart",
+  hist: "histogram",
+  pie: "pie chart",
+  heatmap: "heatmap",
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Numbers to 3 significant digits; category names and dates as they are
+export const cellText = (v) => (v === null ? "–" : typeof v === "number" ? String(Number(v.toPrecision(3))) : String(v));
+
+const list = (items, max = 6) =>
+  items.length > max ? `${items.slice(0, max).join(", ")} and ${items.length - max} more` : items.join(", ");
+
+const and = (items) => (items.length > 1 ? `${items.slice(0, -1).join(", ")} and ${items[items.length - 1]}` : items[0]);
+
+function axisText(name, label, extent) {
+  const axis = label ? `${name} axis “${label}”` : `${name} axis`;
+  if (extent.categories?.length) return `${axis} with ${extent.categories.length} categories (${list(extent.categories)})`;
+  if (extent.range) return `${axis} from ${cellText(extent.range[0])} to ${cellText(extent.range[1])}`;
+  return label ? axis : null;
+}
+
+function plotText(plot) {
+  const kinds = plot.kinds.map((k) => KIND_NAMES[k] || k);
+  const points = plot.series.filter((s) => s.kind === "scatter").reduce((n, s) => n + s.count, 0);
+  const heatmap = plot.series.find((s) => s.range);
+  const names = plot.legend.length ? plot.legend : plot.series.map((s) => s.name).filter(Boolean);
+  return [
+    `${kinds.length ? and(kinds) : "empty plot"}${plot.title ? ` titled “${plot.title}”` : ""}${points ? ` of ${points} points` : ""}`,
+    axisText("x", plot.xlabel, plot.x),
+    axisText("y", plot.ylabel, plot.y),
+    heatmap && `values from ${cellText(heatmap.range[0])} to ${cellText(heatmap.range[1])}`,
+    names.length > 1 && `${names.length} series: ${list(names)}`,
+    names.length === 1 && `series “${names[0]}”`,
+  ]
+    .filter(Boolean)
+    .join("; ");
+}
+
+// Alt text, e.g. "Bar chart titled “Tips by day”; x axis “day” with 4 categories (Thur, Fri, Sat, Sun); y axis “tip” from 0 to 3.26"
+export function figureAltText(meta) {
+  const title = meta.title ? `“${meta.title}”: ` : "";
+  if (!meta.axes.length) return capitalize(`${title}empty figure`);
+  if (meta.axes.length === 1) return `${title}${capitalize(plotText(meta.axes[0]))}.`;
+  return `${title}Figure with ${meta.axes.length} plots. ${meta.axes.map((p, i) => `Plot ${i + 1}: ${plotText(p)}.`).join(" ")}`;
+}
+
+// Caption of a series' data table, e.g. "Plot 2: scatter plot “Dinner”"
+export function seriesCaption(meta, plotIndex, series) {
+  const what = `${KIND_NAMES[series.kind] || series.kind}${series.name ? ` “${series.name}”` : ""}`;
+  return meta.axes.length > 1 ? `Plot ${plotIndex + 1}: ${what}` : capitalize(what);
+}
@@ -0,0 +1,57 @@
+/**
+ * Minimal promise wrapper around IndexedDB for the app's larger persisted data
+ * (uploaded files, imported notebooks, cached run outputs); small settings stay in
+ * localStorage.
+ *
+ * Every store is a plain key → value map. To add one, append it to STORES and bump
+ * DB_VERSION; the upgrade handler creates whatever stores are missing.
+ */
+
+const DB_NAME = "chapter05";
+const DB_VERSION = 3;
+const STORES = ["uploads", "notebooks", "outputs"];
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      for (const name of STORES) {
+        if (!req.result.objectStoreNames.contains(name)) req.result.createObjectStore(name);
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  // Let a failed open (e.g. blocked in private mode) be retried later
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+}
+
+async function withStore(store, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, mode);
+    const req = fn(tx.objectStore(store));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export const idbGet = (store, key) => withStore(store, "readonly", (s) => s.get(key));
+
+export const idbPut = (store, key, value) => withStore(store, "readwrite", (s) => s.put(value, key));
+
+export const idbDelete = (store, key) => withStore(store, "readwrite", (s) => s.delete(key));
+
+export const idbClear = (store) => withStore(store, "readwrite", (s) => s.clear());
+
+// All values in a store, in key order
+export const idbAll = (store) => withStore(store, "readonly", (s) => s.getAll());
@@ -0,0 +1,102 @@
+/**
+ * Lecture timer driven by the chapter's agenda (section `duration`s). The state is
+ * plain JSON so ChapterPage can persist it; time is counted from timestamps, so a
+ * reload while running loses nothing:
+ *
+ *   { elapsed, resumedAt, section, spent: { [sectionId]: ms }, alerted: { [sectionId]: level } }
+ *
+ * `elapsed` and `spent` hold the time up to `resumedAt` (null while paused); the
+ * stretch since then belongs to `section`, the one currently shown.
+ */
+
+import { csvCell } from "./progress";
+
+const MINUTE = 60_000;
+// Remaining time in a section below which the timer warns
+const WARN_MS = MINUTE;
+
+export const initialTimer = () => ({ elapsed: 0, resumedAt: null, section: null, spent: {}, alerted: {} });
+
+// [{ id, label, planned, start }] in ms; sections without a duration are open-ended (planned 0)
+export function agenda(chapter) {
+  let start = 0;
+  return chapter.sections.map((s) => {
+    const item = { id: s.id, label: s.label, planned: (s.duration || 0) * MINUTE, start };
+    start += item.planned;
+    return item;
+  });
+}
+
+// Lecture length: the chapter's `minutes`, else the sum of its section durations
+export const lectureLength = (chapter, items) =>
+  chapter.minutes ? chapter.minutes * MINUTE : items.reduce((n, i) => n + i.planned, 0);
+
+// Fold the running stretch into the totals
+function settle(t, now) {
+  if (t.resumedAt === null) return t;
+  const d = now - t.resumedAt;
+  return {
+    ...t,
+    elapsed: t.elapsed + d,
+    spent: t.section ? { ...t.spent, [t.section]: (t.spent[t.section] || 0) + d } : t.spent,
+    resumedAt: now,
+  };
+}
+
+export const startTimer = (t, now) => (t.resumedAt === null ? { ...t, resumedAt: now } : t);
+
+export const pauseTimer = (t, now) => ({ ...settle(t, now), resumedAt: null });
+
+export const enterSection = (t, id, now) => (t.section === id ? t : { ...settle(t, now), section: id });
+
+/**
+ * Where the lecture stands at `now`:
+ *   { elapsed, section, spent, remaining, behind, alert }
+ * `remaining` is the time left in the current section (negative once over, null when
+ * open-ended); `behind` is how far the lecture is behind the agenda (negative = ahead);
+ * `alert` is null, "warn" (under a minute left) or "over".
+ */
+export function timerStatus(t, items, now) {
+  const live = t.resumedAt === null ? 0 : now - t.resumedAt;
+  const section = items.find((i) => i.id === t.section) || null;
+  const spent = section ? (t.spent[section.id] || 0) + live : 0;
+  const remaining = section?.planned ? section.planned - spent : null;
+  const elapsed = t.elapsed + live;
+  return {
+    elapsed,
+    section,
+    spent,
+    remaining,
+    // On schedule = the section started on time and hasn't overrun yet
+    behind: elapsed - (section ? section.start + Math.min(spent, section.planned) : 0),
+    alert: remaining === null ? null : remaining <= 0 ? "over" : remaining <= WARN_MS ? "warn" : null,
+  };
+}
+
+const ALERT_RANK = { warn: 1, over: 2 };
+
+// An alert worth raising: not yet raised for this section at this level or above
+export const isNewAlert = (t, status) =>
+  Boolean(status.alert && status.section) && ALERT_RANK[status.alert] > (ALERT_RANK[t.alerted[status.section.id]] || 0);
+
+// "mm:ss" of |ms|
+export function formatClock(ms) {
+  const secs = Math.floor(Math.abs(ms) / 1000);
+  return `${String(Math.floor(secs / 60)).padStart(2, "0")}:${String(secs % 60).padStart(2, "0")}`;
+}
+
+// Planned vs actual time per section (ms), for review after the lecture
+export function timeLog(t, items, now) {
+  const live = t.resumedAt === null ? 0 : now - t.resumedAt;
+  return items.map((i) => {
+    const actual = (t.spent[i.id] || 0) + (i.id === t.section ? live : 0);
+    return { id: i.id, label: i.label, planned: i.planned, actual };
+  });
+}
+
+export function timeLogCsv(log) {
+  const rows = [["section", "label", "planned_min", "actual_min", "difference_min"]];
+  const min = (ms) => (ms / MINUTE).toFixed(1);
+  log.forEach((r) => rows.push([r.id, r.label, min(r.planned), min(r.actual), min(r.actual - r.planned)]));
+  return rows.map((r) => r.map(csvCell).join(",")).join("\n") + "\n";
+}
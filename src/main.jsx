@@ -2,12 +2,26 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
-import Chapter05 from './Chapter05.jsx'
+import Course from './Course.jsx'
+import { applyStoredTheme } from './theme'
+import { migrateLegacyCode } from './codeStorage'
 
 
+applyStoredTheme()
+migrateLegacyCode()
+
 createRoot(document.getElementById('root')).render(
   <StrictMode>
     {/* <App /> */}
-    <Chapter05 />
+    <Course />
   </StrictMode>,
 )
+
+// Offline support: caches the app shell and the Python runtime (see public/sw.js)
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch((err) => {
+      console.warn('Service worker registration failed', err)
+    })
+  })
+}
@@ -0,0 +1,287 @@
+/**
+ * Jupyter notebooks ↔ chapters.
+ *
+ * Export: a notebook (nbformat 4.5) with the section titles and prose as Markdown cells
+ * and every code block as a code cell with its outputs, or a plain .py script in the
+ * "percent" cell format (# %%) that VS Code, Spyder and Jupytext read as cells.
+ * `cellState(sectionId, index, code)` supplies each code block's current state:
+ *   { source, outputs, params?, error?, message? }
+ * with outputs as produced by the runtime (see pyRuntime.js) and `error` a structured
+ * traceback.
+ *
+ * Import: notebookChapter() turns a notebook into the same chapter object as
+ * parseChapter(). Headings give the structure: with a single `#` heading that is the
+ * title and every `##` starts a section, otherwise every `#` does; the next level down
+ * becomes sub-headings. Section headings take the same `{#id label="…" duration=N}`
+ * attributes as chapter files. Code cells keep their stored outputs, shown until the
+ * cell is run again.
+ */
+
+import { marked } from "marked";
+import { parseAttrs, slugify } from "./chapterFormat";
+import { FIGURE_META_MIME, VEGA_LITE_MIME } from "./figureText";
+import { withParams } from "./params";
+
+const NOTEBOOK_NOTE =
+  "Exported from the chapter page. Datasets you uploaded there were read from `/data/uploads/`; " +
+  "copy the files next to this notebook and adjust the paths.";
+
+function quizMarkdown(questions) {
+  return [
+    "**Quiz**",
+    "",
+    ...questions.flatMap((q, i) => [
+      `${i + 1}. ${q.question}`,
+      ...(q.code ? ["", "   ```python", ...q.code.split("\n").map((l) => `   ${l}`), "   ```", ""] : []),
+      ...(q.choices || []).map((c) => `   - ${typeof c === "string" ? c : c.code ? "(a plot drawn in the chapter page)" : "(image)"}`),
+    ]),
+  ].join("\n");
+}
+
+// Cells in document order: { type: "markdown", source } | { type: "code", source, outputs, error, message }
+export function chapterCells(chapter, cellState) {
+  const cells = [];
+  let markdown = [];
+  const flush = () => {
+    if (markdown.length) cells.push({ type: "markdown", source: markdown.join("\n\n") });
+    markdown = [];
+  };
+  const code = (sectionId, block) => {
+    flush();
+    const state = cellState(sectionId, block.index, block.code);
+    // Parameter widgets become assignments, so the cell runs on its own
+    cells.push({ type: "code", ...state, source: withParams(block.params, state.params, state.source) });
+  };
+  const walk = (sectionId, blocks) =>
+    blocks.forEach((block) => {
+      switch (block.type) {
+        case "markdown":
+          markdown.push(block.source);
+          break;
+        case "heading":
+          markdown.push(`### ${block.text}`);
+          break;
+        case "code":
+          code(sectionId, block);
+          break;
+        case "quiz":
+          markdown.push(quizMarkdown(block.questions));
+          break;
+        case "grid":
+          walk(sectionId, block.blocks);
+          break;
+        case "box":
+          if (block.title) markdown.push(`**${block.title}**`);
+          walk(sectionId, block.blocks);
+          break;
+        case "exercise":
+          markdown.push(`**Exercise: ${block.title}**`);
+          walk(sectionId, block.blocks);
+          code(sectionId, block.code);
+          break;
+        // Widgets and speaker notes only make sense on the page
+      }
+    });
+
+  markdown.push([`# ${chapter.title}`, chapter.subtitle && `*${chapter.subtitle}*`, NOTEBOOK_NOTE].filter(Boolean).join("\n\n"));
+  for (const section of chapter.sections) {
+    flush();
+    markdown.push(`## ${section.title}`);
+    walk(section.id, section.blocks);
+  }
+  flush();
+  return cells;
+}
+
+// nbformat stores text as a list of lines, each keeping its "\n"
+const lines = (text) => text.split(/(?<=\n)/);
+
+function notebookOutputs({ outputs = [], error, message }) {
+  const result = outputs.map((o) => {
+    if (o.type === "display") return { output_type: "display_data", data: o.data, metadata: {} };
+    // Warnings print to stderr in Jupyter too
+    return { output_type: "stream", name: o.type === "warning" ? "stderr" : o.name, text: lines(o.text) };
+  });
+  if (error) {
+    result.push({
+      output_type: "error",
+      ename: error.type,
+      evalue: error.message || "",
+      traceback: [
+        ...error.frames.map((f) => `File ${f.filename}, line ${f.lineno}, in ${f.name}${f.line ? `\n    ${f.line}` : ""}`),
+        `${error.type}: ${error.message || ""}`,
+      ],
+    });
+  } else if (message) {
+    result.push({ output_type: "stream", name: "stderr", text: lines(message) });
+  }
+  return result;
+}
+
+export function chapterNotebook(chapter, cellState) {
+  return {
+    nbformat: 4,
+    nbformat_minor: 5,
+    metadata: {
+      kernelspec: { name: "python3", display_name: "Python 3", language: "python" },
+      language_info: { name: "python" },
+      title: chapter.title,
+    },
+    cells: chapterCells(chapter, cellState).map((cell, i) =>
+      cell.type === "markdown"
+        ? { cell_type: "markdown", id: `cell-${i + 1}`, metadata: {}, source: lines(cell.source) }
+        : {
+            cell_type: "code",
+            id: `cell-${i + 1}`,
+            metadata: {},
+            execution_count: null,
+            source: lines(cell.source),
+            outputs: notebookOutputs(cell),
+          }
+    ),
+  };
+}
+
+export function chapterScript(chapter, cellState) {
+  return (
+    chapterCells(chapter, cellState)
+      .map((cell) =>
+        cell.type === "markdown"
+          ? `# %% [markdown]\n${cell.source.split("\n").map((l) => (l ? `# ${l}` : "#")).join("\n")}`
+          : `# %%\n${cell.source.replace(/\s+$/, "")}`
+      )
+      .join("\n\n") + "\n"
+  );
+}
+
+// ---- Import ----
+
+// Notebook text fields are a string or a list of lines
+const joined = (v) => (Array.isArray(v) ? v.join("") : v ?? "");
+
+const ANSI_ESCAPE = new RegExp(`${String.fromCharCode(27)}\\[[\\d;]*m`, "g");
+
+// Including the figure descriptions and interactive versions this app's own exports carry
+const RENDERED_MIME = ["text/html", "image/svg+xml", "image/png", "text/plain", FIGURE_META_MIME, VEGA_LITE_MIME];
+const JSON_MIME = [FIGURE_META_MIME, VEGA_LITE_MIME];
+
+// Stored notebook outputs → runtime output items; errors keep their printed traceback
+function importedOutputs(outputs = []) {
+  return outputs.flatMap((o) => {
+    switch (o.output_type) {
+      case "stream":
+        return [{ type: "stream", name: o.name === "stderr" ? "stderr" : "stdout", text: joined(o.text) }];
+      case "display_data":
+      case "execute_result": {
+        const data = {};
+        for (const mime of RENDERED_MIME) {
+          if (o.data?.[mime] === undefined) continue;
+          if (JSON_MIME.includes(mime)) data[mime] = o.data[mime];
+          // Base64 images may be wrapped over several lines
+          else data[mime] = mime === "image/png" ? joined(o.data[mime]).replace(/\s+/g, "") : joined(o.data[mime]);
+        }
+        return Object.keys(data).length ? [{ type: "display", data }] : [];
+      }
+      case "error":
+        return [{ type: "stream", name: "stderr", text: (o.traceback || []).join("\n").replace(ANSI_ESCAPE, "") || `${o.ename}: ${o.evalue}` }];
+      default:
+        return [];
+    }
+  });
+}
+
+// IPython magics and shell escapes (%matplotlib inline, !pip install …) don't exist in
+// the browser runtime; keep them visible, commented out
+const disableMagics = (code) => code.replace(/^(\s*)([%!].*)$/gm, "$1# $2");
+
+const HEADING = /^(#{1,6})\s+(.*?)\s*(\{.*\})?\s*$/;
+
+// Headings in a Markdown cell, skipping fenced code: { level, text, attrs } per line, or null
+function markdownLines(source) {
+  let fenced = false;
+  return source.split("\n").map((line) => {
+    if (/^\s*(```|~~~)/.test(line)) fenced = !fenced;
+    const h = !fenced && HEADING.exec(line);
+    return { line, heading: h ? { level: h[1].length, text: h[2], attrs: parseAttrs(h[3]) } : null };
+  });
+}
+
+/**
+ * A chapter (see parseChapter) from notebook JSON text; `name` labels errors. Throws
+ * when the file isn't an nbformat 4 notebook.
+ */
+export function notebookChapter(source, id, name = `${id}.ipynb`) {
+  let nb;
+  try {
+    nb = JSON.parse(source);
+  } catch (e) {
+    throw new Error(`${name}: not a notebook (${e.message})`);
+  }
+  if (!Array.isArray(nb?.cells)) throw new Error(`${name}: not a Jupyter notebook (nbformat 4 expected)`);
+
+  const cells = nb.cells.map((cell) => ({
+    ...cell,
+    lines: cell.cell_type === "markdown" ? markdownLines(joined(cell.source)) : null,
+  }));
+  const h1Count = cells.flatMap((c) => c.lines || []).filter((l) => l.heading?.level === 1).length;
+  const sectionLevel = h1Count > 1 ? 1 : 2;
+
+  const meta = nb.metadata || {};
+  let title = meta.title || null;
+  const sections = [];
+  const ids = new Set();
+  let section = null;
+  let codeIndex = 0;
+  let markdown = [];
+
+  const startSection = (text, attrs = {}) => {
+    let sid = attrs.id || slugify(text);
+    for (let n = 2; ids.has(sid); n++) sid = `${attrs.id || slugify(text)}-${n}`;
+    ids.add(sid);
+    section = { id: sid, title: text, label: attrs.label || text, duration: attrs.duration, open: attrs.open !== false, blocks: [] };
+    sections.push(section);
+    codeIndex = 0;
+    return section;
+  };
+  const current = () => section || startSection("Introduction");
+  const flush = () => {
+    const md = markdown.join("\n").replace(/^(\s*\n)+|\s+$/g, "");
+    if (md) current().blocks.push({ type: "markdown", html: marked.parse(md), source: md });
+    markdown = [];
+  };
+
+  for (const cell of cells) {
+    if (cell.cell_type === "markdown") {
+      for (const { line, heading } of cell.lines) {
+        if (heading?.level === 1 && sectionLevel === 2) {
+          flush();
+          title = heading.text;
+        } else if (heading?.level === sectionLevel) {
+          flush();
+          startSection(heading.text, heading.attrs);
+        } else if (heading?.level === sectionLevel + 1) {
+          flush();
+          current().blocks.push({ type: "heading", text: heading.text });
+        } else {
+          markdown.push(line);
+        }
+      }
+      markdown.push("");
+    } else if (cell.cell_type === "code") {
+      const code = disableMagics(joined(cell.source));
+      if (!code.trim()) continue;
+      flush();
+      current().blocks.push({ type: "code", code, index: codeIndex++, outputs: importedOutputs(cell.outputs) });
+    }
+  }
+  flush();
+
+  return {
+    id,
+    title: title || name.replace(/\.ipynb$/, ""),
+    subtitle: meta.subtitle || "",
+    minutes: meta.minutes || 0,
+    tips: meta.tips || [],
+    sections,
+  };
+}
@@ -0,0 +1,76 @@
+/**
+ * Run outputs kept between visits, so a code block can show its last output right
+ * away instead of "No output yet" (and without loading the Python runtime).
+ *
+ * Outputs are keyed by a hash of the code and RUNTIME_ID (Pyodide and seaborn
+ * versions), so an edit or a runtime upgrade simply misses:
+ *   - Cache: every successful run is stored in IndexedDB ("outputs" store), keyed
+ *     with the figure settings and theme as well (outputKey).
+ *   - Snapshot: public/snapshots/<chapter id>.json, baked by an instructor with
+ *     Export ▸ Output snapshot after a "Run all", and served with the app. Keyed by
+ *     code and runtime only (snapshotKey), so it shows whatever the learner's figure
+ *     settings and theme; figures from another theme can then be re-rendered:
+ *       { chapter, runtime, createdAt, blocks: { [key]: { theme, outputs: [output items] } } }
+ * A block prefers the learner's own cached run over the snapshot.
+ */
+
+import { idbClear, idbGet, idbPut } from "./idb";
+import { RUNTIME_ID } from "./pyRuntime";
+
+// 64-bit string hash (cyrb53-style, two 32-bit lanes); only has to tell code versions apart
+function hash(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const c = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ c, 2654435761);
+    h2 = Math.imul(h2 ^ c, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (h2 >>> 0).toString(16).padStart(8, "0") + (h1 >>> 0).toString(16).padStart(8, "0");
+}
+
+export const outputKey = (code, figure) => hash(`${RUNTIME_ID}\n${figure.format}@${figure.dpi}/${figure.theme}\n${code}`);
+
+export const snapshotKey = (code) => hash(`${RUNTIME_ID}\n${code}`);
+
+// One fetch per chapter; a missing or broken snapshot counts as empty
+const snapshots = new Map();
+
+function loadSnapshot(chapterId) {
+  if (!snapshots.has(chapterId)) {
+    snapshots.set(
+      chapterId,
+      fetch(`${import.meta.env.BASE_URL}snapshots/${encodeURIComponent(chapterId)}.json`)
+        .then((res) => (res.ok ? res.json() : null))
+        .then((snapshot) => snapshot?.blocks || {})
+        .catch(() => ({}))
+    );
+  }
+  return snapshots.get(chapterId);
+}
+
+// { outputs, from: "cache" | "snapshot", at?, theme? } or null; `theme` is the one the
+// snapshot's figures were drawn in
+export async function findCachedOutputs(chapterId, key, code) {
+  const cached = await idbGet("outputs", key).catch(() => null);
+  if (cached) return { outputs: cached.outputs, from: "cache", at: cached.at };
+  const block = (await loadSnapshot(chapterId))[snapshotKey(code)];
+  return block ? { outputs: block.outputs, from: "snapshot", theme: block.theme } : null;
+}
+
+export const storeCachedOutputs = (key, outputs) =>
+  idbPut("outputs", key, { outputs, at: new Date().toISOString() }).catch(() => {});
+
+export const clearCachedOutputs = () => idbClear("outputs").catch(() => {});
+
+// Snapshot file for public/snapshots/; `blocks` are [{ source, theme, outputs }] of blocks that ran cleanly
+export const outputSnapshot = (chapterId, blocks) => ({
+  chapter: chapterId,
+  runtime: RUNTIME_ID,
+  createdAt: new Date().toISOString(),
+  blocks: Object.fromEntries(
+    blocks.filter((b) => b.outputs.length).map((b) => [snapshotKey(b.source), { theme: b.theme ?? null, outputs: b.outputs }])
+  ),
+});
@@ -0,0 +1,75 @@
+/**
+ * Parameter widgets for code blocks (a ```params block right after a chapter's
+ * ```python block). Each parameter is a Python variable the code reads instead of a
+ * literal, defined only while that block runs; the page shows a widget for it above
+ * the output, and changing it re-runs the block with the new value.
+ *
+ *   ```params
+ *   - name: bins
+ *     type: slider          # slider | select | checkbox | color
+ *     min: 5
+ *     max: 100
+ *     step: 5               # optional (default 1)
+ *     value: 20             # optional start value (default: min / first option / false / blue)
+ *     label: Number of bins # optional (default: the name)
+ *   - name: cmap
+ *     type: select
+ *     options: [viridis, coolwarm, magma]
+ *   ```
+ */
+
+export const PARAM_TYPES = ["slider", "select", "checkbox", "color"];
+
+const PY_NAME = /^[A-Za-z_]\w*$/;
+const COLOR = /^#[0-9a-fA-F]{6}$/;
+const isNumber = (v) => typeof v === "number" && Number.isFinite(v);
+
+/**
+ * `{ name, type, label, value, min?, max?, step?, options? }` for one authored
+ * parameter; throws with a readable message when it isn't valid.
+ */
+export function normalizeParam(entry) {
+  const { name, type, label, value } = entry || {};
+  if (typeof name !== "string" || !PY_NAME.test(name)) throw new Error(`"${name}" is not a Python variable name`);
+  if (!PARAM_TYPES.includes(type)) throw new Error(`${name}: type must be one of ${PARAM_TYPES.join(", ")}`);
+  const param = { name, type, label: label || name };
+  switch (type) {
+    case "slider": {
+      const { min, max, step = 1 } = entry;
+      if (!isNumber(min) || !isNumber(max) || min >= max) throw new Error(`${name}: a slider needs numbers min < max`);
+      if (!isNumber(step) || step <= 0) throw new Error(`${name}: step must be a positive number`);
+      const start = value ?? min;
+      if (!isNumber(start) || start < min || start > max) throw new Error(`${name}: value must be between ${min} and ${max}`);
+      return { ...param, min, max, step, value: start };
+    }
+    case "select": {
+      const { options } = entry;
+      if (!Array.isArray(options) || !options.length || !options.every((o) => typeof o === "string" || isNumber(o))) {
+        throw new Error(`${name}: a select needs a list of options (text or numbers)`);
+      }
+      const start = value ?? options[0];
+      if (!options.includes(start)) throw new Error(`${name}: value must be one of the options`);
+      return { ...param, options, value: start };
+    }
+    case "checkbox":
+      if (value !== undefined && typeof value !== "boolean") throw new Error(`${name}: value must be true or false`);
+      return { ...param, value: value ?? false };
+    default: {
+      const start = value ?? "#1f77b4";
+      if (typeof start !== "string" || !COLOR.test(start)) throw new Error(`${name}: value must be a color like "#ff8800"`);
+      return { ...param, value: start.toLowerCase() };
+    }
+  }
+}
+
+export const paramDefaults = (params) => Object.fromEntries((params || []).map((p) => [p.name, p.value]));
+
+// JSON text is a valid Python literal for these values, except for the booleans
+const pyLiteral = (v) => (typeof v === "boolean" ? (v ? "True" : "False") : JSON.stringify(v));
+
+// The block's code as a standalone program: the parameters' current values assigned first
+export function withParams(params, values, source) {
+  if (!params?.length) return source;
+  const lines = params.map((p) => `${p.name} = ${pyLiteral(values?.[p.name] ?? p.value)}`);
+  return `# Parameters (widgets on the chapter page)\n${lines.join("\n")}\n\n${source}`;
+}
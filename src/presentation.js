@@ -0,0 +1,61 @@
+/**
+ * Presenter mode: a chapter as slides, and the BroadcastChannel protocol that keeps
+ * the audience window (<base>/<chapter>/audience) on the presenter's slide
+ * (<base>/<chapter>/present). Both views are in ChapterPage.jsx.
+ *
+ * Every ## section is a slide; a section with ### sub-headings becomes one slide per
+ * sub-heading (plus one for any text before the first). :::notes blocks are the
+ * speaker notes of the slide they're on.
+ *
+ * Messages (channel `ch05:present:<chapter id>`):
+ *   presenter → { type: "sync", slide, blocks }    full state (on open and on "hello")
+ *   presenter → { type: "slide", slide }           slide changed
+ *   presenter → { type: "block", key, state }      a code block's source / run / outputs changed
+ *   audience  → { type: "hello" }                  audience opened, asks for "sync"
+ * Block keys are itemKey(sectionId, index) (progress.js); state is what CodeBlock publishes.
+ */
+
+import { groupByHeading } from "./chapterFormat";
+
+// Notes anywhere in `blocks` (also inside grids and boxes), and the blocks without them
+function splitNotes(blocks) {
+  const notes = [];
+  const walk = (bs) =>
+    bs.flatMap((b) => {
+      if (b.type === "notes") {
+        notes.push(...b.blocks);
+        return [];
+      }
+      return b.blocks ? [{ ...b, blocks: walk(b.blocks) }] : [b];
+    });
+  return { blocks: walk(blocks), notes };
+}
+
+/**
+ * [{ id, sectionId, title, heading, blocks, notes }] in document order; `heading` is the
+ * ### sub-heading (null for a whole section or its opening text).
+ */
+export function chapterSlides(chapter) {
+  return chapter.sections.flatMap((section) => {
+    const groups = groupByHeading(section.blocks);
+    return (groups.length ? groups : [{ heading: null, blocks: [] }]).map((group, i) => ({
+      id: `${section.id}-${i + 1}`,
+      sectionId: section.id,
+      title: section.title,
+      heading: group.heading,
+      ...splitNotes(group.blocks),
+    }));
+  });
+}
+
+// null where BroadcastChannel is unavailable (the audience window then can't follow)
+export const openPresentationChannel = (chapterId) =>
+  typeof BroadcastChannel === "undefined" ? null : new BroadcastChannel(`ch05:present:${chapterId}`);
+
+// Slide number in the URL hash (#slide-3), so a reload stays on the same slide
+export function slideFromHash(count) {
+  const n = Number(/^#slide-(\d+)$/.exec(window.location.hash)?.[1]);
+  return n >= 1 && n <= count ? n - 1 : 0;
+}
+
+export const slideHash = (index) => `#slide-${index + 1}`;
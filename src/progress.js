@@ -0,0 +1,102 @@
+/**
+ * Learner progress for one chapter: sections visited, code blocks run without an
+ * error, exercises passed and quiz results. Stored per chapter by ChapterPage; the
+ * helpers here compute completion and build the exportable report.
+ *
+ *   { visited: { [sectionId]: iso }, runs: { [key]: iso }, exercises: { [key]: iso },
+ *     quizzes: { [key]: { score, total, at } } }        key = "<sectionId>:<index>"
+ */
+
+export const emptyProgress = () => ({ visited: {}, runs: {}, exercises: {}, quizzes: {} });
+
+export const itemKey = (sectionId, index) => `${sectionId}:${index}`;
+
+// Indices of a section's trackable blocks; an exercise's starter code is also a code block
+export function sectionItems(section) {
+  const items = { code: [], exercises: [], quizzes: [] };
+  const walk = (blocks) =>
+    blocks.forEach((b) => {
+      if (b.type === "code") {
+        items.code.push(b.index);
+      } else if (b.type === "exercise") {
+        items.code.push(b.code.index);
+        items.exercises.push(b.code.index);
+      } else if (b.type === "quiz") {
+        items.quizzes.push(b.index);
+      }
+      if (b.blocks) walk(b.blocks);
+    });
+  walk(section.blocks);
+  return items;
+}
+
+// { done, total }: visiting the section counts as one item
+export function sectionCompletion(section, progress) {
+  const items = sectionItems(section);
+  const has = (kind) => (i) => Boolean(progress[kind][itemKey(section.id, i)]);
+  return {
+    done:
+      (progress.visited[section.id] ? 1 : 0) +
+      items.code.filter(has("runs")).length +
+      items.exercises.filter(has("exercises")).length +
+      items.quizzes.filter(has("quizzes")).length,
+    total: 1 + items.code.length + items.exercises.length + items.quizzes.length,
+  };
+}
+
+export function chapterCompletion(chapter, progress) {
+  return chapter.sections.reduce(
+    (acc, section) => {
+      const { done, total } = sectionCompletion(section, progress);
+      return { done: acc.done + done, total: acc.total + total };
+    },
+    { done: 0, total: 0 }
+  );
+}
+
+export const percent = ({ done, total }) => (total ? Math.round((done / total) * 100) : 0);
+
+// The report a learner submits (Export JSON); also the source of the CSV
+export function progressReport(chapter, progress, learner) {
+  const completion = chapterCompletion(chapter, progress);
+  const quizzes = Object.values(progress.quizzes);
+  return {
+    learner: learner || null,
+    chapter: { id: chapter.id, title: chapter.title },
+    exportedAt: new Date().toISOString(),
+    completion: { ...completion, percent: percent(completion) },
+    quizScore: {
+      score: quizzes.reduce((n, q) => n + q.score, 0),
+      total: quizzes.reduce((n, q) => n + q.total, 0),
+    },
+    sections: chapter.sections.map((section) => {
+      const items = sectionItems(section);
+      const key = (i) => itemKey(section.id, i);
+      return {
+        id: section.id,
+        title: section.title,
+        visitedAt: progress.visited[section.id] || null,
+        ...sectionCompletion(section, progress),
+        codeBlocks: items.code.map((i) => ({ index: i, ranAt: progress.runs[key(i)] || null })),
+        exercises: items.exercises.map((i) => ({ index: i, passedAt: progress.exercises[key(i)] || null })),
+        quizzes: items.quizzes.map((i) => ({ index: i, ...(progress.quizzes[key(i)] || { score: null, total: null, at: null }) })),
+      };
+    }),
+  };
+}
+
+export const csvCell = (v) => (v == null ? "" : /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+
+// One row per tracked item
+export function progressCsv(report) {
+  const rows = [["learner", "chapter", "section", "item", "index", "status", "score", "timestamp"]];
+  const row = (section, item, index, done, score, at) =>
+    rows.push([report.learner, report.chapter.id, section.id, item, index, done ? "done" : "open", score, at]);
+  for (const s of report.sections) {
+    row(s, "visit", "", s.visitedAt, "", s.visitedAt);
+    s.codeBlocks.forEach((c) => row(s, "code", c.index + 1, c.ranAt, "", c.ranAt));
+    s.exercises.forEach((e) => row(s, "exercise", e.index + 1, e.passedAt, "", e.passedAt));
+    s.quizzes.forEach((q) => row(s, "quiz", q.index + 1, q.at, q.at ? `${q.score}/${q.total}` : "", q.at));
+  }
+  return rows.map((r) => r.map(csvCell).join(",")).join("\n") + "\n";
+}
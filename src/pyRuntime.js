@@ -0,0 +1,291 @@
+/**
+ * Main-thread client for the Pyodide worker (singleton).
+ *
+ * Stop/timeout strategy:
+ * - When the page is cross-origin isolated, a SharedArrayBuffer interrupt buffer is
+ *   handed to Pyodide and Stop raises KeyboardInterrupt inside the running code,
+ *   keeping the interpreter (and its globals) alive.
+ * - Otherwise (e.g. GitHub Pages, which cannot send COOP/COEP headers) — or when the
+ *   interrupt isn't honoured within a grace period — the worker is terminated and a
+ *   fresh runtime is loaded on the next run.
+ */
+
+import { DATASETS, DATASET_DIR, datasetFile } from "./datasets";
+import { uploadPath } from "./uploads";
+
+export const PYODIDE_VERSION = "0.25.1";
+const PYODIDE_CDN_URL = `https://cdn.jsdelivr.net/pyodide/v${PYODIDE_VERSION}/full/`;
+
+// Absolute URLs are used as-is; anything else is relative to the app's base path
+// (so "pyodide/" means the self-hosted copy in public/pyodide, see scripts/fetch-pyodide.js)
+function resolveAssetUrl(value) {
+  const appBase = new URL(import.meta.env.BASE_URL, window.location.href);
+  return new URL(value, appBase).href;
+}
+
+const withSlash = (url) => (url.endsWith("/") ? url : `${url}/`);
+
+// Where pyodide.js and its packages are served from (VITE_PYODIDE_BASE_URL)
+const PYODIDE_INDEX_URL = withSlash(resolveAssetUrl(import.meta.env.VITE_PYODIDE_BASE_URL || PYODIDE_CDN_URL));
+
+// Seaborn is not part of the Pyodide distribution; without a local wheel
+// (VITE_SEABORN_WHEEL_URL) micropip fetches it from PyPI
+const SEABORN_WHEEL_URL = import.meta.env.VITE_SEABORN_WHEEL_URL
+  ? resolveAssetUrl(import.meta.env.VITE_SEABORN_WHEEL_URL)
+  : null;
+
+// What outputs depend on besides the code (see outputCache.js): the Pyodide release
+// and the seaborn wheel (unpinned when it comes from PyPI)
+export const RUNTIME_ID = `pyodide-${PYODIDE_VERSION}/${SEABORN_WHEEL_URL ? SEABORN_WHEEL_URL.split("/").pop() : "seaborn-pypi"}`;
+
+// Default per-run timeout; CodeBlock can override it via its `timeout` prop
+export const DEFAULT_RUN_TIMEOUT_S = 60;
+
+// How long an interrupt gets to take effect before the worker is killed
+const INTERRUPT_GRACE_MS = 2000;
+
+const SIGINT = 2;
+
+let worker = null;
+let loadPromise = null;
+let nextId = 1;
+const pending = new Map(); // id -> { resolve, reject, onEvent? }
+
+// Worker messages that stream output while a run is still in progress
+const STREAM_EVENTS = new Set(["stream", "warning", "display", "progress", "started", "checks"]);
+
+const interruptBuffer =
+  typeof SharedArrayBuffer !== "undefined" && globalThis.crossOriginIsolated
+    ? new Uint8Array(new SharedArrayBuffer(1))
+    : null;
+
+function getWorker() {
+  if (worker) return worker;
+  worker = new Worker(new URL("./pyodide.worker.js", import.meta.url));
+  worker.onmessage = (e) => {
+    const msg = e.data;
+    const req = pending.get(msg.id);
+    if (!req) return;
+    if (STREAM_EVENTS.has(msg.type)) {
+      req.onEvent?.(msg);
+      return;
+    }
+    pending.delete(msg.id);
+    if (msg.type === "error") req.reject(msg);
+    else req.resolve(msg);
+  };
+  worker.onerror = (e) => {
+    console.error(e);
+    destroyWorker({ error: String(e?.message || "Python worker crashed") });
+  };
+  return worker;
+}
+
+// Kill the worker and fail every outstanding request with `reason`
+function destroyWorker(reason) {
+  if (worker) worker.terminate();
+  worker = null;
+  loadPromise = null;
+  for (const req of pending.values()) req.reject(reason);
+  pending.clear();
+}
+
+function request(msg, onEvent) {
+  const id = nextId++;
+  return {
+    id,
+    promise: new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject, onEvent });
+      getWorker().postMessage({ ...msg, id });
+    }),
+  };
+}
+
+export function loadRuntime() {
+  if (loadPromise) return loadPromise;
+  const datasets = {
+    dir: DATASET_DIR,
+    files: DATASETS.map(({ name }) => ({
+      file: datasetFile(name),
+      url: resolveAssetUrl(`datasets/${datasetFile(name)}`),
+    })),
+  };
+  const msg = { type: "load", indexURL: PYODIDE_INDEX_URL, seabornWheel: SEABORN_WHEEL_URL, datasets, interruptBuffer };
+  loadPromise = request(msg)
+    .promise.then(remountUploads)
+    .catch((err) => {
+      loadPromise = null;
+      throw new Error(err?.error || "Failed to load the Python runtime");
+    });
+  return loadPromise;
+}
+
+// Every block shares one interpreter (and one sys.stdout), so runs (and uploads,
+// which define globals) are serialized
+let queueTail = Promise.resolve();
+
+function enqueue(task) {
+  const job = queueTail.then(task);
+  queueTail = job.catch(() => {});
+  return job;
+}
+
+/**
+ * Queue `code` for execution in the worker; runs execute one at a time in the order
+ * they were queued. `onStart` fires when this run leaves the queue; `onProgress`
+ * reports the packages its imports need ({ current, done, total }) while they
+ * download; `onOutput` receives each output item live as it is produced:
+ *   { type: "stream", name: "stdout" | "stderr", text } | { type: "warning", text }
+ *   | { type: "display", data: { [mimeType]: string } }
+ * `figure` ({ format: "png" | "svg", dpi, style? }) controls how figures are rendered;
+ * `style` carries the page theme's figure colors (see theme.js).
+ * `variables` ({ name: value }, JSON values) are defined while the code runs and then
+ * removed again, so they don't leak into other blocks (parameter widgets, see params.js).
+ * `checks` ([{ name, arg? }], see exercises.js) are evaluated against the figures the
+ * run produced; a successful run then resolves with `checks: [{ passed, error? }]`.
+ * `isolated` runs the code in a fresh namespace (only the preloaded libraries and
+ * datasets), so it neither sees nor changes the learner's variables.
+ * The `timeout` clock starts once packages are loaded, so slow downloads don't count.
+ * Aborting `signal` cancels a queued run or stops a running one (the "Stop" button).
+ * Never rejects; resolves to
+ * { status: "ok" | "error" | "interrupted" | "timeout", outputs, checks?, error?, traceback? }
+ * (`traceback` is the structured Python exception, see pyodide.worker.js).
+ */
+export function runPython(code, options = {}) {
+  return enqueue(() => execute(code, options));
+}
+
+async function execute(code, { timeout = DEFAULT_RUN_TIMEOUT_S, figure, variables, checks, isolated, signal, onStart, onProgress, onOutput } = {}) {
+  const outputs = [];
+  let checkResults;
+  if (signal?.aborted) {
+    return { status: "interrupted", outputs, error: "Cancelled before it started." };
+  }
+  onStart?.();
+  try {
+    await loadRuntime();
+  } catch (e) {
+    return { status: "error", outputs, error: e.message };
+  }
+  if (interruptBuffer) interruptBuffer[0] = 0;
+
+  let timeoutTimer = null;
+  const onEvent = (msg) => {
+    const { id: _id, ...item } = msg;
+    if (item.type === "progress") {
+      onProgress?.(item);
+    } else if (item.type === "started") {
+      if (timeout > 0) timeoutTimer = setTimeout(() => stop("timeout"), timeout * 1000);
+    } else if (item.type === "checks") {
+      checkResults = item.results;
+    } else {
+      outputs.push(item);
+      onOutput?.(item);
+    }
+  };
+  const { promise } = request({ type: "run", code, figure, variables, checks, isolated }, onEvent);
+  let stopReason = null;
+  let killTimer = null;
+  const stop = (reason) => {
+    if (stopReason) return;
+    stopReason = reason;
+    if (interruptBuffer) {
+      interruptBuffer[0] = SIGINT;
+      killTimer = setTimeout(() => destroyWorker({ error: "Python runtime restarted" }), INTERRUPT_GRACE_MS);
+    } else {
+      destroyWorker({ error: "Python runtime restarted" });
+    }
+  };
+  const onAbort = () => stop("interrupted");
+  signal?.addEventListener("abort", onAbort);
+
+  try {
+    await promise;
+    return { status: "ok", outputs, checks: checkResults };
+  } catch (err) {
+    // Output streamed before the failure is kept
+    if (stopReason === "timeout") {
+      return { status: "timeout", outputs, error: `Timed out after ${timeout}s — execution was stopped.` };
+    }
+    if (stopReason || err?.excType === "KeyboardInterrupt") {
+      return { status: "interrupted", outputs, error: "Execution interrupted." };
+    }
+    return { status: "error", outputs, error: String(err?.error || err?.message || err), traceback: err?.traceback };
+  } finally {
+    clearTimeout(timeoutTimer);
+    clearTimeout(killTimer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+// -----------------------------
+// Uploaded files (see uploads.js)
+// -----------------------------
+// file name -> { file, format, variable, bytes }; mounted into every runtime that gets
+// loaded, so the DataFrames survive a Stop that restarts the worker
+const uploads = new Map();
+
+const sendMount = (upload, onProgress) => {
+  const { file: _file, ...rest } = upload;
+  const onEvent = (msg) => msg.type === "progress" && onProgress?.(msg);
+  return request({ type: "mount", upload: { ...rest, path: uploadPath(upload) } }, onEvent).promise;
+};
+
+async function remountUploads() {
+  for (const upload of uploads.values()) {
+    try {
+      await sendMount(upload);
+    } catch (err) {
+      console.warn(`Could not load upload ${upload.file}`, err);
+    }
+  }
+}
+
+/**
+ * Write `upload` ({ file, format, variable, bytes }) into the runtime — loading it
+ * first if needed — and read it into the DataFrame `variable`. Queued like a run.
+ * Resolves to the preview { rows, columns: [{ name, dtype }] }; rejects with an Error
+ * when pandas can't parse the file (the upload is then forgotten).
+ */
+export function mountUpload(upload, { onProgress } = {}) {
+  return enqueue(async () => {
+    await loadRuntime();
+    uploads.set(upload.file, upload);
+    try {
+      const { preview } = await sendMount(upload, onProgress);
+      return preview;
+    } catch (err) {
+      uploads.delete(upload.file);
+      throw new Error(err?.error || err?.message || "Could not read the file");
+    }
+  });
+}
+
+/**
+ * Register a previously stored upload without starting the runtime; it is mounted
+ * together with the runtime (or right away if the runtime is already up). A file
+ * that no longer parses is forgotten, so restarts don't try it again.
+ */
+export function restoreUpload(upload) {
+  uploads.set(upload.file, upload);
+  if (!loadPromise) return;
+  enqueue(async () => {
+    await loadPromise;
+    try {
+      await sendMount(upload);
+    } catch (err) {
+      uploads.delete(upload.file);
+      throw err;
+    }
+  }).catch((err) => console.warn(`Could not load upload ${upload.file}`, err));
+}
+
+// Forget an upload and delete its file and DataFrame from the running interpreter
+export function unmountUpload(upload) {
+  uploads.delete(upload.file);
+  if (!loadPromise) return Promise.resolve();
+  return enqueue(async () => {
+    await loadPromise;
+    await request({ type: "unmount", path: uploadPath(upload), variable: upload.variable }).promise;
+  });
+}
@@ -0,0 +1,988 @@
+/**
+ * Pyodide Web Worker — hosts the Python runtime off the main thread so a long
+ * (or endless) snippet never freezes the lecture page.
+ *
+ * Message protocol (every message carries the request `id` it belongs to):
+ *   main → worker   { type: "load", id, indexURL, seabornWheel?, datasets, interruptBuffer? }
+ *                     datasets = { dir, files: [{ file, url }] } — CSVs mounted into the Pyodide FS
+ *                   { type: "run",  id, code, figure?, variables?, checks?, isolated? }
+ *                     figure = { format: "png" | "svg", dpi, style? } (style: colors, see theme.js)
+ *                     variables = { name: value } bound while this run lasts (parameter widgets)
+ *                     checks = [{ name, arg? }] (exercise checks)
+ *                     isolated: run in a fresh namespace, leaving the learner's variables alone
+ *                   { type: "mount", id, upload }          upload = { path, format, variable, bytes }
+ *                     writes an uploaded file to `path` and reads it into the DataFrame `variable`
+ *                   { type: "unmount", id, path, variable }
+ *   worker → main   { type: "loaded", id }
+ *                   { type: "mounted", id, preview }       preview = { rows, columns: [{ name, dtype }] }
+ *                   { type: "stream",  id, name: "stdout" | "stderr", text }   (live, while running)
+ *                   { type: "warning", id, text }                              (live, while running)
+ *                   { type: "display", id, data: { [mimeType]: string } }     (live, while running)
+ *                   { type: "progress", id, current, done, total }            (packages being loaded)
+ *                   { type: "started", id }                                     (packages ready, code executing)
+ *                   { type: "checks",  id, results: [{ passed, error? }] }      (after a successful run with checks)
+ *                   { type: "done",    id }
+ *                   { type: "error",   id, error, excType?, traceback? }
+ *
+ * `traceback` (Python exceptions raised by the snippet) is structured as
+ *   { type, message, filename, lineno, frames: [{ filename, lineno, name, line }] }
+ * where `lineno` is the failing line of the snippet itself. Snippets are compiled
+ * as "<cell-{id}>", so their frames carry the snippet's own line numbers.
+ *
+ * `display` carries an IPython-style MIME bundle: figures ("image/png", base64),
+ * objects with `_repr_html_` such as DataFrames ("text/html"), and always a
+ * "text/plain" fallback. It is emitted for `display(obj)`, `plt.show()` and the
+ * value of a snippet's final expression, in the order they happen. Figures still
+ * open when the snippet finishes are captured too, as in a notebook.
+ *
+ * Packages are loaded on demand: before each run the snippet's imports are resolved
+ * against pyodide-lock.json and only what's missing is fetched (seaborn, which
+ * isn't in the distribution, via micropip), reporting one `progress` step per package.
+ *
+ * This is a classic worker (it uses importScripts), so keep it free of ES imports.
+ */
+
+// One-time Python setup: display/figure capture, the cell driver, and the hooks that
+// wire up numpy/pandas/matplotlib/seaborn once a snippet's imports have loaded them
+const RUNTIME_SETUP = `
+import os, sys, io, math, base64, json, builtins, traceback, warnings, importlib.util
+from pyodide.code import eval_code_async
+import _lecture_bridge as _bridge
+
+# Must be set before matplotlib is first imported
+os.environ.setdefault('MPLBACKEND', 'Agg')
+
+# ---- Learner namespace: shared by all code blocks, like a notebook kernel's ----
+# Kept apart from this module's globals, so a snippet that assigns json, sys or
+# warnings can't break the driver for the runs after it.
+_user_ns = {'__name__': '__main__', '__builtins__': builtins}
+
+# What every namespace starts with: np, pd, plt, sns and the preloaded datasets
+_preloaded = {}
+
+def _provide(name, value):
+    _preloaded[name] = value
+    _user_ns.setdefault(name, value)
+
+# For isolated runs (quiz snippets), which must not touch the learner's variables
+def _fresh_namespace():
+    return {'__name__': '__main__', '__builtins__': builtins, 'display': display, **_preloaded}
+
+# ---- Library integration (runs after each package load; idempotent) ----
+_integrated = set()
+
+def _available(name):
+    return name not in _integrated and importlib.util.find_spec(name) is not None
+
+def _integrate_libraries():
+    if _available('numpy'):
+        import numpy as np
+        _provide('np', np)
+        _integrated.add('numpy')
+    if _available('pandas'):
+        import pandas as pd
+        _provide('pd', pd)
+        _integrated.add('pandas')
+    if _available('matplotlib'):
+        import matplotlib.pyplot as plt
+        plt.show = _capture_show
+        _provide('plt', plt)
+        _apply_figure_style()
+        _integrated.add('matplotlib')
+    if _available('seaborn'):
+        _integrate_seaborn()
+        _integrated.add('seaborn')
+
+# ---- Seaborn: bundled datasets first, then the network, then a tiny sample ----
+# The app writes its bundled CSVs into SEABORN_DATA (seaborn's data home), which
+# load_dataset treats as an already-downloaded cache.
+_SEABORN_DATA_URL = 'https://raw.githubusercontent.com/mwaskom/seaborn-data/master/{}.csv'
+
+# Last resort when a dataset is neither bundled nor reachable
+_SAMPLE_DATASETS = {
+    'tips': {
+        'total_bill':[16.99,10.34,21.01,23.68,24.59,25.29,8.77,26.88],
+        'tip':[1.01,1.66,3.50,3.31,3.61,4.71,2.00,3.12],
+        'sex':['Female','Male','Male','Male','Female','Male','Female','Male'],
+        'day':['Sun','Sun','Sun','Sun','Sun','Sun','Sat','Sat']
+    },
+    'titanic': {
+        'survived':[0,1,1,0,1,0,1,0],
+        'pclass':[3,1,3,1,2,3,2,1],
+        'sex':['male','female','female','male','female','male','female','male'],
+        'age':[22,38,26,35,27,28,14,54],
+        'fare':[7.25,71.28,7.92,53.10,10.50,8.05,30.07,51.86],
+        'class':['Third','First','Third','First','Second','Third','Second','First']
+    },
+}
+
+def _integrate_seaborn():
+    import pandas as pd
+    import seaborn as sns
+    _orig_load = sns.load_dataset
+    def _safe_load_dataset(name, *args, **kwargs):
+        try:
+            return _orig_load(name, *args, **kwargs)
+        except Exception:
+            pass
+        # urllib has no sockets in Pyodide; fetch into seaborn's cache over HTTP instead
+        try:
+            from pyodide.http import open_url
+            data_home = sns.utils.get_data_home()
+            with open(os.path.join(data_home, f'{name}.csv'), 'w') as f:
+                f.write(open_url(_SEABORN_DATA_URL.format(name)).read())
+            return _orig_load(name, *args, **kwargs)
+        except Exception:
+            if name not in _SAMPLE_DATASETS:
+                raise
+        warnings.warn(
+            f"The '{name}' dataset is not bundled and could not be downloaded; "
+            f"using an 8-row sample, so plots will not be representative.",
+            stacklevel=2,
+        )
+        return pd.DataFrame(_SAMPLE_DATASETS[name])
+    sns.load_dataset = _safe_load_dataset
+    _theme_seaborn(sns)
+    _provide('sns', sns)
+    # Preload commonly used datasets so subsequent blocks can reuse
+    try:
+        _provide('tips', sns.load_dataset('tips'))
+        _provide('titanic', sns.load_dataset('titanic'))
+    except Exception:
+        pass
+
+# ---- Page theme: figure colors (set per run by _run_cell, see theme.js) ----
+_figure_style = {}    # { rc, palette } the page asked for
+_applied_style = None # the style rcParams currently reflect
+_replaced_rc = {}     # rcParams values the applied style replaced
+
+def _style_rc(style):
+    from cycler import cycler
+    rc = dict(style.get('rc') or {})
+    if style.get('palette'):
+        rc['axes.prop_cycle'] = cycler(color=style['palette'])
+    return rc
+
+# Only on a theme change, so a learner's own rcParams survive from run to run
+def _apply_figure_style():
+    global _applied_style
+    mpl = sys.modules.get('matplotlib')
+    if mpl is None or _figure_style == _applied_style:
+        return
+    mpl.rcParams.update(_replaced_rc)
+    rc = _style_rc(_figure_style)
+    _replaced_rc.clear()
+    _replaced_rc.update({key: mpl.rcParams[key] for key in rc})
+    mpl.rcParams.update(rc)
+    _applied_style = _figure_style
+
+# sns.set_theme()/set_style() would reset the colors to seaborn's (light) styles: keep
+# the page's colors, unless the call sets them itself (rc=..., palette=...)
+def _theme_seaborn(sns):
+    rcmod = sns.rcmod
+    set_theme, set_style = rcmod.set_theme, rcmod.set_style
+    def themed_set_theme(*args, rc=None, **kwargs):
+        page_rc = _style_rc(_figure_style)
+        if len(args) > 2 or 'palette' in kwargs:
+            page_rc.pop('axes.prop_cycle', None)
+        return set_theme(*args, rc={**page_rc, **(rc or {})}, **kwargs)
+    def themed_set_style(*args, rc=None, **kwargs):
+        return set_style(*args, rc={**(_figure_style.get('rc') or {}), **(rc or {})}, **kwargs)
+    # rcmod.set() and set_theme() look these up in rcmod
+    rcmod.set_theme = sns.set_theme = themed_set_theme
+    rcmod.set_style = sns.set_style = themed_set_style
+
+# ---- Uploaded files: read into a named DataFrame global ----
+_UPLOAD_READERS = {
+    'csv': lambda pd, path: pd.read_csv(path),
+    'tsv': lambda pd, path: pd.read_csv(path, sep='\\t'),
+    'json': lambda pd, path: pd.read_json(path),
+    'xlsx': lambda pd, path: pd.read_excel(path),
+}
+
+def _load_upload(path, variable, fmt):
+    import pandas as pd
+    df = _UPLOAD_READERS[fmt](pd, path)
+    _user_ns[variable] = df
+    return json.dumps({
+        'rows': len(df),
+        'columns': [{'name': str(col), 'dtype': str(dtype)} for col, dtype in df.dtypes.items()],
+    })
+
+def _drop_upload(path, variable):
+    _user_ns.pop(variable, None)
+    if os.path.exists(path):
+        os.remove(path)
+
+# ---- Rich display (MIME bundles, like IPython) ----
+_REPR_METHODS = (
+    ('_repr_html_', 'text/html'),
+    ('_repr_svg_', 'image/svg+xml'),
+)
+
+def _mime_bundle(obj):
+    mpl_figure = sys.modules.get('matplotlib.figure')
+    if mpl_figure and isinstance(obj, mpl_figure.Figure):
+        bundle = _figure_bundle(obj)
+        sys.modules['matplotlib.pyplot'].close(obj)  # shown now, so don't capture it again at the end of the run
+        return bundle
+    data = {'text/plain': repr(obj)}
+    if hasattr(obj, '_repr_mimebundle_'):
+        try:
+            bundle = obj._repr_mimebundle_()
+            bundle = bundle[0] if isinstance(bundle, tuple) else bundle
+            data.update({k: v for k, v in (bundle or {}).items() if isinstance(v, str)})
+        except Exception:
+            pass
+    for method, mime in _REPR_METHODS:
+        if mime in data or not hasattr(obj, method):
+            continue
+        try:
+            value = getattr(obj, method)()
+        except Exception:
+            continue
+        if isinstance(value, str):
+            data[mime] = value
+    return data
+
+def _emit_display(data):
+    sys.stdout.flush()  # keep text printed before this output ahead of it
+    _bridge.display(json.dumps(data))
+
+def display(*objs):
+    for obj in objs:
+        _emit_display(_mime_bundle(obj))
+
+_user_ns['display'] = display
+
+# ---- Figure capture (format/DPI are set per run by _run_cell) ----
+_figure_opts = {'format': 'png', 'dpi': 100}
+
+def _figure_bundle(fig):
+    if fig not in _run_figures:
+        _run_figures.append(fig)
+    buf = io.BytesIO()
+    fmt = 'svg' if _figure_opts.get('format') == 'svg' else 'png'
+    fig.savefig(buf, format=fmt, dpi=_figure_opts.get('dpi') or 100, bbox_inches='tight')
+    w, h = fig.get_size_inches()
+    data = {'text/plain': f'<Figure size {w:g}x{h:g} in>'}
+    # Descriptions and interactive versions are a bonus; never lose the figure over them
+    try:
+        data[_FIGURE_META] = _describe_figure(fig)
+    except Exception:
+        pass
+    try:
+        spec = _vega_spec(fig)
+        if spec:
+            data[_VEGA_LITE] = spec
+    except Exception:
+        pass
+    if fmt == 'svg':
+        data['image/svg+xml'] = buf.getvalue().decode('utf-8')
+    else:
+        data['image/png'] = base64.b64encode(buf.getvalue()).decode('ascii')
+    return data
+
+def _capture_figures():
+    plt = sys.modules.get('matplotlib.pyplot')
+    if plt is None:
+        return
+    for num in plt.get_fignums():
+        _emit_display(_figure_bundle(plt.figure(num)))
+    plt.close('all')
+
+# Replaces plt.show(): emits every open figure instead of opening a window
+def _capture_show(*args, **kwargs):
+    _capture_figures()
+
+def _close_figures():
+    plt = sys.modules.get('matplotlib.pyplot')
+    if plt is not None:
+        plt.close('all')
+
+# ---- Figure descriptions: what a figure shows, for alt text and data tables ----
+# (after savefig, so tick labels are drawn; see figureText.js)
+_FIGURE_META = 'application/vnd.lecture.figure+json'
+_MAX_ROWS = 200
+
+def _categories(axis):
+    from matplotlib.category import StrCategoryFormatter
+    from matplotlib.ticker import FixedFormatter
+    if not isinstance(axis.get_major_formatter(), (FixedFormatter, StrCategoryFormatter)):
+        return None
+    return [t.get_text() for t in axis.get_ticklabels() if t.get_text()]
+
+# Data value -> table cell: category name, date text or a rounded number
+def _cell(axis):
+    from matplotlib import dates
+    names = {}
+    if _categories(axis) is not None:
+        names = {round(float(loc), 6): t.get_text() for loc, t in zip(axis.get_ticklocs(), axis.get_ticklabels())}
+    is_date = isinstance(axis.get_major_formatter(), (dates.DateFormatter, dates.AutoDateFormatter, dates.ConciseDateFormatter))
+    def cell(v):
+        v = float(v)
+        if not math.isfinite(v):
+            return None
+        if round(v, 6) in names:
+            return names[round(v, 6)]
+        if is_date:
+            return dates.num2date(v).strftime('%Y-%m-%d %H:%M').replace(' 00:00', '')
+        return float(f'{v:.6g}')
+    return cell
+
+def _artist_name(artist):
+    label = artist.get_label()
+    return label if label and not label.startswith('_') else None
+
+def _figure_series(ax):
+    from matplotlib.collections import PathCollection, QuadMesh
+    from matplotlib.container import BarContainer
+    from matplotlib.patches import Wedge
+    xcell, ycell = _cell(ax.xaxis), _cell(ax.yaxis)
+    xl, yl = ax.get_xlabel() or 'x', ax.get_ylabel() or 'y'
+    series = []
+    # rows: at most _MAX_ROWS of the series' count data points
+    def add(name, kind, columns, rows, count, **extra):
+        series.append({'name': name, 'kind': kind, 'columns': columns, 'rows': rows, 'count': count, **extra})
+    for line in ax.lines:
+        xy = line.get_xydata()
+        # Skip axhline/axvline and unnamed straight segments (error bars, reference lines)
+        if len(xy) == 0 or not line.get_transform().contains_branch(ax.transData):
+            continue
+        if len(xy) == 2 and _artist_name(line) is None and (xy[0][0] == xy[1][0] or xy[0][1] == xy[1][1]):
+            continue
+        add(_artist_name(line), 'line', [xl, yl], [[xcell(x), ycell(y)] for x, y in xy[:_MAX_ROWS]], len(xy))
+    for c in ax.collections:
+        if isinstance(c, PathCollection) and len(c.get_offsets()):
+            points = c.get_offsets()
+            add(_artist_name(c), 'scatter', [xl, yl], [[xcell(x), ycell(y)] for x, y in points[:_MAX_ROWS]], len(points))
+        elif isinstance(c, QuadMesh):
+            _add_grid(add, _artist_name(c), c.get_array(), ax)
+    for im in ax.images:
+        _add_grid(add, _artist_name(im), im.get_array(), ax)
+    for c in ax.containers:
+        if not isinstance(c, BarContainer) or not c.patches:
+            continue
+        bars = sorted(c.patches, key=lambda p: (p.get_x(), p.get_y()))[:_MAX_ROWS]
+        if getattr(c, 'orientation', None) == 'horizontal':
+            add(_artist_name(c), 'bar', [yl, xl], [[ycell(p.get_y() + p.get_height() / 2), xcell(p.get_width())] for p in bars], len(c.patches))
+        elif _bars_touch(c):
+            add(_artist_name(c), 'hist', [f'{xl} from', f'{xl} to', yl],
+                [[xcell(p.get_x()), xcell(p.get_x() + p.get_width()), ycell(p.get_height())] for p in bars], len(c.patches))
+        else:
+            add(_artist_name(c), 'bar', [xl, yl], [[xcell(p.get_x() + p.get_width() / 2), ycell(p.get_height())] for p in bars], len(c.patches))
+    wedges = [p for p in ax.patches if isinstance(p, Wedge)]
+    if wedges:
+        rows = [[_artist_name(w) or f'#{i + 1}', round((w.theta2 - w.theta1) / 3.6, 1)] for i, w in enumerate(wedges)]
+        add(None, 'pie', ['slice', 'percent'], rows[:_MAX_ROWS], len(rows))
+    return series
+
+# Heatmap cells as rows (one per y category), when the grid is 2-D
+def _add_grid(add, name, values, ax):
+    import numpy as np
+    values = np.ma.filled(np.ma.asarray(values, dtype=float), np.nan)
+    xs, ys = _categories(ax.xaxis) or [], _categories(ax.yaxis) or []
+    if values.ndim == 1 and xs and ys and values.size == len(xs) * len(ys):
+        values = values.reshape(len(ys), len(xs))
+    if values.ndim != 2 or not np.isfinite(values).any():
+        return
+    rows_n, cols_n = values.shape
+    xs = xs if len(xs) == cols_n else [str(i) for i in range(cols_n)]
+    ys = ys if len(ys) == rows_n else [str(i) for i in range(rows_n)]
+    num = lambda v: float(f'{v:.4g}') if math.isfinite(v) else None
+    rows = [[y] + [num(v) for v in row] for y, row in zip(ys[:_MAX_ROWS], values)]
+    add(name, 'heatmap', [ax.get_ylabel() or ''] + xs, rows, rows_n, range=[num(np.nanmin(values)), num(np.nanmax(values))])
+
+def _axis_extent(axis, interval, cell):
+    names = _categories(axis)
+    if names:
+        return {'categories': names}
+    lo, hi = interval
+    return {'range': [cell(lo), cell(hi)]} if math.isfinite(lo) and math.isfinite(hi) else {}
+
+def _describe_figure(fig):
+    axes = []
+    for ax in _plot_axes([fig]):
+        series = _figure_series(ax)
+        kinds = list(dict.fromkeys(s['kind'] for s in series))
+        legend = ax.get_legend()
+        # A pie chart's axes carry no data range
+        pie = kinds == ['pie']
+        axes.append({
+            'title': ax.get_title(),
+            'xlabel': ax.get_xlabel(),
+            'ylabel': ax.get_ylabel(),
+            'kinds': kinds,
+            'x': {} if pie else _axis_extent(ax.xaxis, ax.dataLim.intervalx, _cell(ax.xaxis)),
+            'y': {} if pie else _axis_extent(ax.yaxis, ax.dataLim.intervaly, _cell(ax.yaxis)),
+            'legend': [t.get_text() for t in legend.get_texts()] if legend else [],
+            'series': series,
+        })
+    return {'title': fig._suptitle.get_text() if fig._suptitle else '', 'axes': axes}
+
+# ---- Interactive charts: simple figures as Vega-Lite specs (see InteractiveChart) ----
+# One plot of lines, scatter points, vertical bars and/or histogram bars; anything else
+# (pies, heatmaps, subplots, very large data) stays a static image only.
+_VEGA_LITE = 'application/vnd.vegalite.v6+json'
+_VEGA_MAX_POINTS = 5000
+
+def _hex(color):
+    from matplotlib.colors import to_hex
+    return to_hex(color, keep_alpha=False)
+
+def _artist_color(artist):
+    import numpy as np
+    if hasattr(artist, 'get_markerfacecolor'):
+        has_marker = artist.get_marker() not in (None, '', ' ', 'None')
+        return _hex(artist.get_markerfacecolor() if has_marker else artist.get_color())
+    colors = np.atleast_2d(artist.get_facecolor())
+    return _hex(colors[0]) if len(colors) else None
+
+# Legend entry color -> label: names the series one artist draws in several colors (seaborn hue)
+def _legend_names(ax):
+    legend = ax.get_legend()
+    if legend is None:
+        return {}
+    handles = getattr(legend, 'legend_handles', None) or getattr(legend, 'legendHandles', [])
+    names = {}
+    for handle, text in zip(handles, legend.get_texts()):
+        try:
+            names.setdefault(_artist_color(handle), text.get_text())
+        except Exception:
+            pass
+    return names
+
+# Vega-Lite encoding for an axis, and data value -> JSON value
+def _vega_axis(axis, title):
+    from matplotlib import dates
+    enc = {'field': axis.axis_name, 'title': title or None}
+    names = _categories(axis)
+    if names is not None:
+        return {**enc, 'type': 'nominal', 'sort': names}, _cell(axis)
+    if isinstance(axis.get_major_formatter(), (dates.DateFormatter, dates.AutoDateFormatter, dates.ConciseDateFormatter)):
+        return {**enc, 'type': 'temporal'}, lambda v: dates.num2date(float(v)).isoformat()
+    lo, hi = axis.get_view_interval()
+    scale = {'domain': [float(lo), float(hi)], 'zero': False, 'nice': False}
+    if axis.get_scale() == 'log':
+        scale['type'] = 'log'
+    return {**enc, 'type': 'quantitative', 'scale': scale}, lambda v: float(v) if math.isfinite(float(v)) else None
+
+def _vega_config(fig, ax):
+    text = _hex(ax.title.get_color())
+    edge = _hex(ax.spines['bottom'].get_edgecolor())
+    labels = ax.xaxis.get_ticklabels()
+    grid = [g for g in list(ax.xaxis.get_gridlines()) + list(ax.yaxis.get_gridlines()) if g.get_visible()]
+    return {
+        'background': _hex(fig.get_facecolor()),
+        'view': {'fill': _hex(ax.get_facecolor()), 'stroke': edge},
+        'title': {'color': text},
+        'axis': {
+            'labelColor': _hex(labels[0].get_color()) if labels else text,
+            'titleColor': _hex(ax.xaxis.label.get_color()),
+            'domainColor': edge,
+            'tickColor': edge,
+            'grid': bool(grid),
+            'gridColor': _hex(grid[0].get_color()) if grid else edge,
+        },
+        'legend': {'labelColor': text, 'titleColor': text},
+    }
+
+def _vega_spec(fig):
+    from matplotlib.collections import PathCollection, QuadMesh
+    from matplotlib.container import BarContainer
+    from matplotlib.patches import Wedge
+    axes = _plot_axes([fig])
+    if len(axes) != 1:
+        return None
+    ax = axes[0]
+    if ax.images or any(isinstance(c, QuadMesh) for c in ax.collections) or any(isinstance(p, Wedge) for p in ax.patches):
+        return None
+    x_enc, x_value = _vega_axis(ax.xaxis, ax.get_xlabel())
+    y_enc, y_value = _vega_axis(ax.yaxis, ax.get_ylabel())
+    legend_names = _legend_names(ax)
+    records, series = [], {}  # series: name -> color, in drawing order
+    def add_series(name, kind, color):
+        name = name or legend_names.get(color) or f'{kind} {len(series) + 1}'
+        series.setdefault(name, color)
+        return name
+    for line in ax.lines:
+        xy = line.get_xydata()
+        # The same lines as _figure_series: no reference lines or error bars
+        if len(xy) == 0 or not line.get_transform().contains_branch(ax.transData):
+            continue
+        if len(xy) == 2 and _artist_name(line) is None and (xy[0][0] == xy[1][0] or xy[0][1] == xy[1][1]):
+            continue
+        name = add_series(_artist_name(line), 'line', _artist_color(line))
+        records += [{'kind': 'line', 'series': name, 'i': i, 'x': x_value(x), 'y': y_value(y)} for i, (x, y) in enumerate(xy)]
+    for c in ax.collections:
+        if not isinstance(c, PathCollection) or not len(c.get_offsets()):
+            continue
+        colors = [_hex(fc) for fc in c.get_facecolor()] or ['#1f77b4']
+        if len(colors) == 1:
+            name = add_series(_artist_name(c), 'scatter', colors[0])
+            records += [{'kind': 'scatter', 'series': name, 'x': x_value(x), 'y': y_value(y)} for x, y in c.get_offsets()]
+            continue
+        # One color per point (seaborn's hue): a series per color, named by the legend
+        for (x, y), color in zip(c.get_offsets(), colors):
+            name = add_series(legend_names.get(color, color), 'scatter', color)
+            records.append({'kind': 'scatter', 'series': name, 'x': x_value(x), 'y': y_value(y)})
+    for c in ax.containers:
+        if not isinstance(c, BarContainer) or not c.patches:
+            continue
+        if getattr(c, 'orientation', None) == 'horizontal':
+            return None
+        kind = 'hist' if _bars_touch(c) else 'bar'
+        name = add_series(_artist_name(c), kind, _artist_color(c.patches[0]))
+        for p in c.patches:
+            if kind == 'hist':
+                records.append({'kind': kind, 'series': name, 'x': x_value(p.get_x()), 'x2': x_value(p.get_x() + p.get_width()), 'y': y_value(p.get_height())})
+            else:
+                records.append({'kind': kind, 'series': name, 'fill': _artist_color(p),
+                                'x': x_value(p.get_x() + p.get_width() / 2), 'y': y_value(p.get_height())})
+    if not records or len(records) > _VEGA_MAX_POINTS:
+        return None
+
+    names = list(series)
+    kinds = list(dict.fromkeys(r['kind'] for r in records))
+    color = {'field': 'series', 'type': 'nominal', 'scale': {'domain': names, 'range': [series[n] for n in names]},
+             'legend': {'title': None} if len(names) > 1 else None}
+    tooltip = [{'field': 'series', 'title': ' '}] if len(names) > 1 else []
+    layers = []
+    for kind in kinds:
+        enc = {'x': dict(x_enc), 'y': dict(y_enc), 'color': color}
+        if kind == 'line':
+            many = sum(r['kind'] == 'line' for r in records) > 200 * len(names)
+            mark = {'type': 'line', 'point': not many, 'tooltip': many}
+            enc['order'] = {'field': 'i'}
+        elif kind == 'scatter':
+            mark = {'type': 'point', 'filled': True, 'size': 40}
+        elif kind == 'hist':
+            mark = {'type': 'bar', 'binSpacing': 0}
+            enc['x2'] = {'field': 'x2'}
+        else:
+            mark = {'type': 'bar'}
+            if x_enc['type'] != 'nominal':
+                if len(kinds) > 1:
+                    return None  # numeric bar positions as categories can't share the x scale
+                enc['x'] = {'field': 'x', 'title': x_enc['title'], 'type': 'ordinal'}
+            bar_series = list(dict.fromkeys(r['series'] for r in records if r['kind'] == 'bar'))
+            if len(bar_series) > 1:
+                enc['xOffset'] = {'field': 'series', 'sort': bar_series}
+            elif len({r['fill'] for r in records if r['kind'] == 'bar'}) > 1:
+                enc['color'] = {'field': 'fill', 'type': 'nominal', 'scale': None, 'legend': None}  # one color per bar (seaborn palette)
+        enc['tooltip'] = tooltip + [{'field': 'x', 'type': enc['x']['type'], 'title': x_enc['title'] or 'x'}] + (
+            [{'field': 'x2', 'type': enc['x']['type'], 'title': 'to'}] if kind == 'hist' else []) + [
+            {'field': 'y', 'type': y_enc['type'], 'title': y_enc['title'] or 'y'}]
+        # Clicking a legend entry highlights its series
+        if len(names) > 1:
+            enc['opacity'] = {'condition': {'param': 'pick', 'value': 1}, 'value': 0.15}
+        layers.append({'transform': [{'filter': {'field': 'kind', 'equal': kind}}], 'mark': mark, 'encoding': enc})
+
+    params = []
+    if x_enc['type'] != 'nominal':
+        params.append({'name': 'zoom', 'select': 'interval', 'bind': 'scales'})
+    if len(names) > 1:
+        params.append({'name': 'pick', 'select': {'type': 'point', 'fields': ['series']}, 'bind': 'legend'})
+    if params:
+        layers[0]['params'] = params
+    w, h = fig.get_size_inches()
+    title = ax.get_title() or (fig._suptitle.get_text() if fig._suptitle else '')
+    return {
+        '$schema': 'https://vega.github.io/schema/vega-lite/v6.json',
+        **({'title': title} if title else {}),
+        'width': 'container',
+        'height': int(min(480, max(200, 480 * h / w))),
+        'autosize': {'type': 'fit-x', 'contains': 'padding'},
+        'data': {'values': records},
+        'layer': layers,
+        'config': _vega_config(fig, ax),
+    }
+
+# ---- Exercise checks: inspect the figures the run produced ----
+# Figures are kept after plt.close(), so checks still see what was shown mid-run
+_run_figures = []
+
+def _plot_axes(figs):
+    return [ax for fig in figs for ax in fig.axes if ax.get_label() != '<colorbar>']
+
+def _bars_touch(container):
+    bars = sorted(container.patches, key=lambda p: p.get_x())
+    return len(bars) > 1 and all(
+        abs(a.get_x() + a.get_width() - b.get_x()) < 1e-6 * max(1.0, abs(b.get_x())) for a, b in zip(bars, bars[1:])
+    )
+
+def _plot_kinds(ax):
+    from matplotlib.collections import PathCollection, QuadMesh
+    from matplotlib.container import BarContainer
+    from matplotlib.patches import Wedge
+    kinds = set()
+    if any(len(line.get_xdata()) > 1 and line.get_linestyle() not in ('None', '') for line in ax.lines):
+        kinds.add('line')
+    if any(isinstance(c, PathCollection) for c in ax.collections):
+        kinds.add('scatter')
+    for c in ax.containers:
+        if isinstance(c, BarContainer):
+            kinds.add('hist' if _bars_touch(c) else 'bar')
+    if any(isinstance(p, Wedge) for p in ax.patches):
+        kinds.add('pie')
+    if ax.images or any(isinstance(c, QuadMesh) for c in ax.collections):
+        kinds.add('heatmap')
+    return kinds
+
+def _check_title(figs, arg):
+    return any(ax.get_title() for ax in _plot_axes(figs)) or any(fig._suptitle and fig._suptitle.get_text() for fig in figs)
+
+def _check_axis_labels(figs, arg):
+    return any(ax.get_xlabel() and ax.get_ylabel() for ax in _plot_axes(figs))
+
+def _check_legend(figs, arg):
+    return any(ax.get_legend() is not None for ax in _plot_axes(figs)) or any(fig.legends for fig in figs)
+
+def _check_subplots(figs, arg):
+    return any(len(_plot_axes([fig])) >= int(arg or 2) for fig in figs)
+
+def _check_annotation(figs, arg):
+    from matplotlib.text import Annotation
+    return any(isinstance(t, Annotation) for ax in _plot_axes(figs) for t in ax.texts)
+
+def _check_plot(figs, arg):
+    return any(arg in _plot_kinds(ax) for ax in _plot_axes(figs))
+
+_CHECKS = {
+    'title': _check_title,
+    'axis-labels': _check_axis_labels,
+    'legend': _check_legend,
+    'subplots': _check_subplots,
+    'annotation': _check_annotation,
+    'plot': _check_plot,
+}
+
+# checks = [{ 'name', 'arg' }] -> [{ 'passed', 'error'? }] in the same order
+def _run_checks(checks):
+    results = []
+    for check in checks:
+        if not _run_figures:
+            results.append({'passed': False, 'error': 'No figure was produced.'})
+            continue
+        try:
+            results.append({'passed': bool(_CHECKS[check['name']](_run_figures, check.get('arg')))})
+        except Exception as exc:
+            results.append({'passed': False, 'error': f'{type(exc).__name__}: {exc}'})
+    return results
+
+# ---- Warnings go to their own channel instead of stderr ----
+def _emit_warning(message, category, filename, lineno, file=None, line=None):
+    sys.stdout.flush()
+    _bridge.warning(warnings.formatwarning(message, category, filename, lineno, line).rstrip())
+
+# ---- Structured tracebacks ----
+def _describe_error(exc, filename):
+    frames = [
+        {'filename': f.filename, 'lineno': f.lineno, 'name': f.name, 'line': f.line}
+        for f in traceback.extract_tb(exc.__traceback__)
+    ]
+    message = str(exc)
+    lineno = None
+    if isinstance(exc, SyntaxError):
+        message = exc.msg
+        if exc.filename == filename:
+            lineno = exc.lineno
+    # Innermost frame in the snippet = the user's line that led to the failure
+    own = [f for f in frames if f['filename'] == filename]
+    if own:
+        lineno = own[-1]['lineno']
+    return json.dumps({
+        'type': type(exc).__name__,
+        'message': message,
+        'filename': filename,
+        'lineno': lineno,
+        'frames': frames,
+        'text': ''.join(traceback.format_exception(exc)),
+    })
+
+_MISSING = object()
+
+# Parameters belong to their cell: set for the run, then the names get back what they
+# held before (other blocks' variables), unless the snippet assigned them itself
+def _bind_variables(ns, variables):
+    shadowed = {name: ns.get(name, _MISSING) for name in variables}
+    ns.update(variables)
+    def unbind():
+        for name, value in variables.items():
+            if ns.get(name, _MISSING) is not value:
+                continue
+            if shadowed[name] is _MISSING:
+                del ns[name]
+            else:
+                ns[name] = shadowed[name]
+    return unbind
+
+# Returns None on success, or a JSON traceback description if the snippet raised
+async def _run_cell(source, filename, options_json):
+    global _figure_opts, _figure_style
+    options = json.loads(options_json)
+    _figure_opts = options.get('figure') or {}
+    _figure_style = _figure_opts.get('style') or {}
+    _apply_figure_style()
+    ns = _fresh_namespace() if options.get('isolated') else _user_ns
+    unbind = _bind_variables(ns, options.get('variables') or {})
+    _run_figures.clear()
+    saved = sys.stdout, sys.stderr
+    failure = None
+    try:
+        with warnings.catch_warnings():
+            warnings.simplefilter('default')
+            warnings.showwarning = _emit_warning
+            # Like a notebook cell, show the value of a trailing expression (unless it ends with ';')
+            result = await eval_code_async(source, ns, return_mode='last_expr', filename=filename)
+            if result is not None:
+                display(result)
+    except KeyboardInterrupt:
+        _close_figures()
+        raise
+    except BaseException as exc:
+        failure = _describe_error(exc, filename)
+    finally:
+        # Always restore the real streams, even if the snippet raised or replaced them
+        for stream in (sys.stdout, sys.stderr):
+            try:
+                stream.flush()
+            except Exception:
+                pass
+        sys.stdout, sys.stderr = saved
+        unbind()
+    # Figures built without plt.show() (e.g. fig, ax = plt.subplots()) are shown at the end
+    try:
+        _capture_figures()
+    except Exception as exc:
+        _close_figures()
+        failure = failure or _describe_error(exc, filename)
+    if options.get('checks') and not failure:
+        _bridge.checks(json.dumps(_run_checks(options['checks'])))
+    _run_figures.clear()
+    return failure
+`;
+
+let pyodide = null;
+let loading = null;
+let runCell = null;
+let seabornSource = "seaborn";
+let lock = null; // pyodide-lock.json: what the distribution can load, and each package's imports/deps
+let currentRunId = null; // id of the run whose output is being streamed
+
+const emit = (type, payload) => {
+  if (currentRunId !== null) self.postMessage({ type, id: currentRunId, ...payload });
+};
+
+// Pure-Python libraries that aren't in the Pyodide distribution: installed with
+// micropip after their (distribution) dependencies are loaded
+const MICROPIP_PACKAGES = {
+  seaborn: ["numpy", "pandas", "matplotlib"],
+};
+
+// Copy the app's bundled datasets into the Pyodide filesystem. Missing files are
+// skipped (seaborn then falls back to downloading).
+async function mountDatasets(py, { dir, files }) {
+  py.FS.mkdirTree(dir);
+  await Promise.all(
+    files.map(async ({ file, url }) => {
+      try {
+        const res = await fetch(url);
+        // A dev server answers unknown paths with index.html
+        if (!res.ok || res.headers.get("content-type")?.includes("text/html")) return;
+        py.FS.writeFile(`${dir}/${file}`, new Uint8Array(await res.arrayBuffer()));
+      } catch (err) {
+        console.warn(`Dataset ${file} unavailable`, err);
+      }
+    })
+  );
+}
+
+// Forwards exactly what Python wrote (Python's streams are line-buffered, so output
+// still arrives live). `batched` would drop the newlines, and adding one back to every
+// batch breaks partial lines such as print("x", end="").
+function streamWriter(name) {
+  const decoder = new TextDecoder();
+  return {
+    write: (bytes) => {
+      // stream: true holds back a multi-byte character split across two writes
+      const text = decoder.decode(bytes, { stream: true });
+      if (text) emit("stream", { name, text });
+      return bytes.length;
+    },
+  };
+}
+
+async function load({ indexURL, seabornWheel, datasets, interruptBuffer }) {
+  if (loading) return loading;
+  loading = (async () => {
+    self.importScripts(`${indexURL}pyodide.js`);
+    const py = await self.loadPyodide({
+      indexURL,
+      stdin: () => null,
+      // seaborn's data home: load_dataset() finds the mounted CSVs here
+      env: { SEABORN_DATA: datasets.dir },
+    });
+    await mountDatasets(py, datasets);
+    py.setStdout(streamWriter("stdout"));
+    py.setStderr(streamWriter("stderr"));
+    // Only available when the page is cross-origin isolated (SharedArrayBuffer)
+    if (interruptBuffer) py.setInterruptBuffer(interruptBuffer);
+    const res = await fetch(`${indexURL}pyodide-lock.json`);
+    if (!res.ok) throw new Error(`Could not read the package index (${res.status})`);
+    lock = await res.json();
+    // Self-hosted wheel when one is configured, else PyPI
+    seabornSource = seabornWheel || "seaborn";
+    py.registerJsModule("_lecture_bridge", {
+      display: (json) => emit("display", { data: JSON.parse(json) }),
+      warning: (text) => emit("warning", { text }),
+      checks: (json) => emit("checks", { results: JSON.parse(json) }),
+    });
+    await py.runPythonAsync(RUNTIME_SETUP);
+    runCell = py.globals.get("_run_cell");
+    pyodide = py;
+    return py;
+  })();
+  // Let a failed load be retried
+  loading.catch(() => { loading = null; });
+  return loading;
+}
+
+// -----------------------------
+// Import-driven package loading
+// -----------------------------
+let importIndex = null; // import name -> lock package name
+function packageForImport(name) {
+  if (!importIndex) {
+    importIndex = new Map();
+    for (const [pkg, info] of Object.entries(lock.packages)) {
+      for (const imp of info.imports || []) importIndex.set(imp, pkg);
+    }
+  }
+  return importIndex.get(name);
+}
+
+function isInstalled(name) {
+  return pyodide.runPython(`import importlib.util; importlib.util.find_spec(${JSON.stringify(name)}) is not None`);
+}
+
+/**
+ * Packages the snippet's imports need that aren't loaded yet, dependencies first:
+ * [{ name, via: "pyodide" | "micropip" }]. Unknown imports (stdlib, typos) are left
+ * for Python to report.
+ */
+function missingPackages(code) {
+  const found = pyodide.pyodide_py.code.find_imports(code);
+  const imports = found.toJs();
+  found.destroy();
+
+  const steps = [];
+  const seen = new Set();
+  const visit = (pkg) => {
+    if (seen.has(pkg)) return;
+    seen.add(pkg);
+    lock.packages[pkg].depends.forEach(visit);
+    if (!pyodide.loadedPackages[pkg]) steps.push({ name: pkg, via: "pyodide" });
+  };
+  for (const imp of imports) {
+    const pkg = packageForImport(imp);
+    if (pkg) {
+      visit(pkg);
+    } else if (MICROPIP_PACKAGES[imp] && !seen.has(imp) && !isInstalled(imp)) {
+      [...MICROPIP_PACKAGES[imp], "micropip"].forEach((dep) => visit(packageForImport(dep) || dep));
+      seen.add(imp);
+      steps.push({ name: imp, via: "micropip" });
+    }
+  }
+  return steps;
+}
+
+async function ensurePackages(code) {
+  const steps = missingPackages(code);
+  if (!steps.length) return;
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i];
+    emit("progress", { current: step.name, done: i, total: steps.length });
+    if (step.via === "micropip") {
+      const micropip = pyodide.pyimport("micropip");
+      await micropip.install(step.name === "seaborn" ? seabornSource : step.name);
+      micropip.destroy();
+    } else {
+      await pyodide.loadPackage(step.name);
+    }
+  }
+  emit("progress", { current: null, done: steps.length, total: steps.length });
+  pyodide.runPython("_integrate_libraries()");
+}
+
+// Resolves to the structured traceback when the snippet raised, otherwise null
+async function run(id, code, options) {
+  currentRunId = id;
+  try {
+    await ensurePackages(code);
+    emit("started", {});
+    const failure = await runCell(code, `<cell-${id}>`, JSON.stringify(options));
+    return failure ? JSON.parse(failure) : null;
+  } finally {
+    currentRunId = null;
+  }
+}
+
+// -----------------------------
+// Uploaded files
+// -----------------------------
+// Extra packages pandas needs to read each upload format
+const UPLOAD_IMPORTS = { xlsx: ["openpyxl"] };
+
+// Resolves to the DataFrame preview: { rows, columns: [{ name, dtype }] }
+async function mountUpload(id, { path, format, variable, bytes }) {
+  currentRunId = id;
+  try {
+    await ensurePackages(["pandas", ...(UPLOAD_IMPORTS[format] || [])].map((m) => `import ${m}`).join("\n"));
+  } finally {
+    currentRunId = null;
+  }
+  pyodide.FS.mkdirTree(path.slice(0, path.lastIndexOf("/")));
+  pyodide.FS.writeFile(path, new Uint8Array(bytes));
+  try {
+    return JSON.parse(pyodide.globals.get("_load_upload")(path, variable, format));
+  } catch (err) {
+    // Report just the exception line ("ParserError: ..."), not Pyodide's full traceback
+    const lines = String(err?.message || err).trim().split("\n");
+    throw new Error(lines[lines.length - 1]);
+  }
+}
+
+self.onmessage = async (e) => {
+  const { type, id } = e.data;
+  try {
+    if (type === "load") {
+      await load(e.data);
+      self.postMessage({ type: "loaded", id });
+    } else if (type === "run") {
+      if (!pyodide) throw new Error("Python runtime is not loaded");
+      const tb = await run(id, e.data.code, {
+        figure: e.data.figure,
+        variables: e.data.variables,
+        checks: e.data.checks,
+        isolated: e.data.isolated,
+      });
+      if (tb) {
+        const { text, ...traceback } = tb;
+        self.postMessage({ type: "error", id, error: text, excType: tb.type, traceback });
+      } else {
+        self.postMessage({ type: "done", id });
+      }
+    } else if (type === "mount") {
+      if (!pyodide) throw new Error("Python runtime is not loaded");
+      const preview = await mountUpload(id, e.data.upload);
+      self.postMessage({ type: "mounted", id, preview });
+    } else if (type === "unmount") {
+      if (pyodide) pyodide.globals.get("_drop_upload")(e.data.path, e.data.variable);
+      self.postMessage({ type: "done", id });
+    }
+  } catch (err) {
+    // PythonError exposes the exception class name as `type` (e.g. KeyboardInterrupt)
+    self.postMessage({ type: "error", id, error: String(err?.message || err), excType: err?.type });
+  }
+};
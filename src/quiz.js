@@ -0,0 +1,137 @@
+/**
+ * Quiz questions (the ```quiz blocks of a chapter file): validation, grading,
+ * shuffling and result export. The UI is QuizBlock in ChapterPage.jsx.
+ *
+ * Question types (`type`, default "single"):
+ *   single     choices + answer (index)
+ *   multiple   choices + answer (list of indices); all must be picked, nothing else
+ *   numeric    answer (number) ± tolerance (absolute, default 0); optional unit
+ *   text       answer (string or list of accepted strings); case/whitespace-insensitive
+ *   predict    code (the snippet shown) + choices, each { image: url } or { code: python }
+ *              (rendered in the runtime); answer (index of the matching plot)
+ * Every question may set `points` (default 1) and `explain`.
+ */
+
+export const QUESTION_TYPES = ["single", "multiple", "numeric", "text", "predict"];
+
+export const questionType = (q) => q.type || "single";
+
+const hasChoices = (q) => ["single", "multiple", "predict"].includes(questionType(q));
+
+const isIndex = (q, i) => Number.isInteger(i) && i >= 0 && i < q.choices.length;
+
+// Problem with an authored question, or null when it's well-formed
+export function validateQuestion(q) {
+  if (!q || typeof q.question !== "string") return "every question needs a `question` text";
+  const type = questionType(q);
+  if (!QUESTION_TYPES.includes(type)) return `unknown question type "${type}"`;
+  if (hasChoices(q) && (!Array.isArray(q.choices) || q.choices.length < 2)) return `"${q.question}" needs at least two choices`;
+  switch (type) {
+    case "single":
+    case "predict":
+      if (!isIndex(q, q.answer)) return `"${q.question}": answer must be a choice index`;
+      break;
+    case "multiple":
+      if (!Array.isArray(q.answer) || !q.answer.every((i) => isIndex(q, i))) return `"${q.question}": answer must be a list of choice indices`;
+      break;
+    case "numeric":
+      if (typeof q.answer !== "number") return `"${q.question}": answer must be a number`;
+      break;
+    case "text":
+      if (![q.answer].flat().every((a) => typeof a === "string")) return `"${q.question}": answer must be text`;
+      break;
+  }
+  if (type === "predict" && !q.choices.every((c) => c && (c.image || c.code))) {
+    return `"${q.question}": each choice needs an image or code`;
+  }
+  return null;
+}
+
+const normalizeText = (s) => String(s).trim().replace(/\s+/g, " ").toLowerCase();
+
+// Whether `response` (as stored by QuizBlock) is correct; unanswered is never correct
+export function isCorrect(q, response) {
+  if (response === undefined || response === null || response === "") return false;
+  switch (questionType(q)) {
+    case "multiple": {
+      const picked = new Set(response);
+      return picked.size === q.answer.length && q.answer.every((i) => picked.has(i));
+    }
+    case "numeric": {
+      const value = Number(String(response).replace(",", "."));
+      return Number.isFinite(value) && Math.abs(value - q.answer) <= (q.tolerance || 0) + 1e-9;
+    }
+    case "text":
+      return [q.answer].flat().some((a) => normalizeText(a) === normalizeText(response));
+    default:
+      return response === q.answer;
+  }
+}
+
+export const questionPoints = (q) => q.points ?? 1;
+
+export function scoreQuiz(questions, responses) {
+  let score = 0;
+  let total = 0;
+  questions.forEach((q, i) => {
+    total += questionPoints(q);
+    if (isCorrect(q, responses[i])) score += questionPoints(q);
+  });
+  return { score, total };
+}
+
+// The expected answer in words for typed-in questions (choice questions highlight
+// the right choices instead), shown once no attempts are left
+export function expectedAnswer(q) {
+  switch (questionType(q)) {
+    case "numeric":
+      return `${q.answer}${q.unit ? ` ${q.unit}` : ""}${q.tolerance ? ` (± ${q.tolerance})` : ""}`;
+    case "text":
+      return [q.answer].flat()[0];
+    default:
+      return null;
+  }
+}
+
+// Whether choice `i` is (one of) the right answer(s)
+export const isAnswerChoice = (q, i) => [q.answer].flat().includes(i);
+
+// Fisher–Yates shuffle of [0..n-1]
+export function shuffledIndices(n) {
+  const order = [...Array(n).keys()];
+  for (let i = n - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order;
+}
+
+// Display order for a quiz: question order plus each question's choice order
+export function quizOrder(questions, shuffle) {
+  return {
+    questions: shuffle ? shuffledIndices(questions.length) : [...questions.keys()],
+    choices: questions.map((q) => (hasChoices(q) && shuffle ? shuffledIndices(q.choices.length) : null)),
+  };
+}
+
+// A saved order still fits the questions (the chapter may have been edited since)
+export const orderMatches = (order, questions) =>
+  order?.questions?.length === questions.length &&
+  questions.every((q, i) => !order.choices[i] || order.choices[i].length === q.choices.length);
+
+// Results document for "Export JSON"
+export function quizResults(questions, state, meta) {
+  return {
+    ...meta,
+    exportedAt: new Date().toISOString(),
+    ...scoreQuiz(questions, state.responses),
+    attempts: state.attempts,
+    questions: questions.map((q, i) => ({
+      question: q.question,
+      type: questionType(q),
+      response: state.responses[i] ?? null,
+      correct: isCorrect(q, state.responses[i]),
+      points: questionPoints(q),
+    })),
+  };
+}
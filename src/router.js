@@ -0,0 +1,32 @@
+/**
+ * Minimal client-side router. Routes are paths relative to the Vite `base`:
+ * "" is the course index, "<chapter id>" a chapter page and "<chapter id>/present",
+ * "<chapter id>/audience" its presenter mode. Section anchors (#intro) and slide
+ * numbers (#slide-3) stay in the URL hash.
+ */
+
+import { useSyncExternalStore } from "react";
+
+// Always ends with "/" (Vite normalizes `base`)
+const BASE = import.meta.env.BASE_URL;
+
+export const routeHref = (route) => `${BASE}${route}`;
+
+function currentRoute() {
+  const path = decodeURIComponent(window.location.pathname);
+  if (!path.startsWith(BASE)) return "";
+  return path.slice(BASE.length).replace(/\/+$/, "");
+}
+
+export function navigate(route) {
+  window.history.pushState(null, "", routeHref(route));
+  window.scrollTo(0, 0);
+  window.dispatchEvent(new PopStateEvent("popstate"));
+}
+
+function subscribe(onChange) {
+  window.addEventListener("popstate", onChange);
+  return () => window.removeEventListener("popstate", onChange);
+}
+
+export const useRoute = () => useSyncExternalStore(subscribe, currentRoute);
@@ -0,0 +1,94 @@
+/**
+ * Page theme: "dark" (the default), "light" or "contrast" (high contrast), saved in
+ * the browser and applied as data-theme on <html> (the colors are in index.css).
+ *
+ * Each theme also has a figure style that runs pass to Python (see pyodide.worker.js):
+ *   { rc: { matplotlib rcParam: value }, palette: [colors] }
+ * so new figures get the page's background, text, grid and series colors. Light uses
+ * matplotlib's and seaborn's own (light) defaults.
+ */
+
+import { useSyncExternalStore } from "react";
+
+export const THEMES = [
+  { id: "dark", label: "Dark" },
+  { id: "light", label: "Light" },
+  { id: "contrast", label: "High contrast" },
+];
+
+const DEFAULT_THEME = "dark";
+const THEME_KEY = "ch05:theme";
+
+const isTheme = (id) => THEMES.some((t) => t.id === id);
+
+function storedTheme() {
+  try {
+    const id = window.localStorage.getItem(THEME_KEY);
+    return isTheme(id) ? id : DEFAULT_THEME;
+  } catch {
+    return DEFAULT_THEME;
+  }
+}
+
+// Called once before the first render, so the page doesn't flash the default theme
+export const applyStoredTheme = () => {
+  document.documentElement.dataset.theme = storedTheme();
+};
+
+const listeners = new Set();
+
+export function setTheme(id) {
+  document.documentElement.dataset.theme = id;
+  try {
+    window.localStorage.setItem(THEME_KEY, id);
+  } catch {
+    // Storage unavailable: the theme lasts until the page is closed
+  }
+  listeners.forEach((l) => l());
+}
+
+function subscribe(onChange) {
+  listeners.add(onChange);
+  return () => listeners.delete(onChange);
+}
+
+const currentTheme = () => document.documentElement.dataset.theme || DEFAULT_THEME;
+
+export const useTheme = () => useSyncExternalStore(subscribe, currentTheme, () => DEFAULT_THEME);
+
+// Matplotlib colors for a figure on a `background` page with `text`-colored labels
+const figureColors = ({ background, text, muted, grid }) => ({
+  "figure.facecolor": background,
+  "axes.facecolor": background,
+  "axes.edgecolor": muted,
+  "axes.labelcolor": text,
+  "text.color": text,
+  "xtick.color": muted,
+  "ytick.color": muted,
+  "xtick.labelcolor": text,
+  "ytick.labelcolor": text,
+  "grid.color": grid,
+  "legend.facecolor": background,
+  "legend.edgecolor": muted,
+  "patch.edgecolor": background,
+});
+
+const FIGURE_STYLES = {
+  light: { rc: {}, palette: null },
+  dark: {
+    // Output panel background; Tailwind 400s read well on it
+    rc: figureColors({ background: "#111827", text: "#e5e7eb", muted: "#9ca3af", grid: "#374151" }),
+    palette: ["#60a5fa", "#fbbf24", "#34d399", "#f87171", "#a78bfa", "#f472b6", "#22d3ee", "#a3e635", "#fb923c", "#94a3b8"],
+  },
+  contrast: {
+    rc: {
+      ...figureColors({ background: "#000000", text: "#ffffff", muted: "#ffffff", grid: "#6b7280" }),
+      "lines.linewidth": 2.5,
+      "axes.linewidth": 1.5,
+    },
+    // Okabe-Ito (colorblind-safe), with the dark blue and vermillion lightened for a black background
+    palette: ["#56b4e9", "#e69f00", "#f0e442", "#009e73", "#ff7f50", "#cc79a7", "#5aa9ff", "#ffffff"],
+  },
+};
+
+export const figureStyle = (theme) => FIGURE_STYLES[theme] || FIGURE_STYLES[DEFAULT_THEME];
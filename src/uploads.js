@@ -0,0 +1,81 @@
+/**
+ * Files the learner uploads (their own CSV/TSV/JSON/Excel data).
+ *
+ * Each upload is written into the Pyodide filesystem under UPLOAD_DIR and read into
+ * a pandas DataFrame named after the file (see pyRuntime.mountUpload). The raw bytes
+ * and the last preview are kept in IndexedDB so uploads survive a reload.
+ */
+
+import { idbAll, idbDelete, idbPut } from "./idb";
+
+export const UPLOAD_DIR = "/data/uploads";
+
+// Largest file accepted; everything is held in memory (and in the Wasm heap)
+export const MAX_UPLOAD_BYTES = 25 * 1024 * 1024;
+
+const READERS = {
+  csv: (path) => `pd.read_csv("${path}")`,
+  tsv: (path) => `pd.read_csv("${path}", sep="\\t")`,
+  json: (path) => `pd.read_json("${path}")`,
+  xlsx: (path) => `pd.read_excel("${path}")`,
+};
+
+const EXTENSIONS = { csv: "csv", tsv: "tsv", tab: "tsv", json: "json", xlsx: "xlsx" };
+
+// For the file picker's `accept` attribute
+export const UPLOAD_ACCEPT = Object.keys(EXTENSIONS).map((ext) => `.${ext}`).join(",");
+
+// "csv" | "tsv" | "json" | "xlsx", or null for unsupported files
+export const uploadFormat = (filename) => EXTENSIONS[filename.split(".").pop().toLowerCase()] || null;
+
+export const uploadPath = (upload) => `${UPLOAD_DIR}/${upload.file}`;
+
+const PYTHON_KEYWORDS = new Set(
+  ("False None True and as assert async await break class continue def del elif else except finally for " +
+    "from global if import in is lambda nonlocal not or pass raise return try while with yield").split(" ")
+);
+
+// Names every code block relies on: what the runtime predefines (display, and the
+// libraries and datasets _provide adds in pyodide.worker.js) and Python's builtins
+const RESERVED_NAMES = new Set(
+  ("display np pd plt sns tips titanic " +
+    "abs all any ascii bin bool breakpoint bytearray bytes callable chr classmethod compile complex delattr dict " +
+    "dir divmod enumerate eval exec filter float format frozenset getattr globals hasattr hash help hex id input " +
+    "int isinstance issubclass iter len list locals map max memoryview min next object oct open ord pow print " +
+    "property range repr reversed round set setattr slice sorted staticmethod str sum super tuple type vars zip").split(" ")
+);
+
+// Whether an upload's DataFrame would replace one of them (pd.csv → pd)
+export const isReservedVariable = (name) => RESERVED_NAMES.has(name);
+
+// A Python identifier derived from the file name ("Sales 2024.csv" → "sales_2024"),
+// suffixed when it would clash with one in `taken` or a reserved name
+export function uploadVariable(filename, taken = []) {
+  let base = filename
+    .replace(/\.[^.]+$/, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9_]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+  if (!base) base = "data";
+  if (/^\d/.test(base) || PYTHON_KEYWORDS.has(base)) base = `df_${base}`;
+  let name = base;
+  for (let n = 2; taken.includes(name) || RESERVED_NAMES.has(name); n++) name = `${base}_${n}`;
+  return name;
+}
+
+// Code that reads the upload from scratch, for pasting into a block
+export const uploadSnippet = (upload) =>
+  `import pandas as pd\n\n${upload.variable} = ${READERS[upload.format](uploadPath(upload))}\n${upload.variable}.head()`;
+
+// ---- Persistence (IndexedDB "uploads" store, keyed by file name) ----
+export async function loadStoredUploads() {
+  try {
+    return (await idbAll("uploads")).sort((a, b) => a.addedAt - b.addedAt);
+  } catch {
+    return [];
+  }
+}
+
+export const storeUpload = (upload) => idbPut("uploads", upload.file, upload).catch(() => {});
+
+export const deleteStoredUpload = (file) => idbDelete("uploads", file).catch(() => {});
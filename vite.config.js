@@ -1,10 +1,31 @@
+import { copyFile } from 'node:fs/promises'
+import path from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
 
+// Cross-origin isolation enables SharedArrayBuffer, which Pyodide needs for its
+// interrupt buffer (the code block "Stop" button). Hosts that can't send these
+// headers (e.g. GitHub Pages) fall back to restarting the Python worker instead.
+const isolationHeaders = {
+  'Cross-Origin-Opener-Policy': 'same-origin',
+  'Cross-Origin-Embedder-Policy': 'require-corp',
+}
+
+// Chapters live at <base>/<chapter id>, which static hosts don't know about.
+// GitHub Pages serves 404.html for unknown paths, so make that the app too.
+const spaFallback = {
+  name: 'spa-fallback',
+  apply: 'build',
+  writeBundle: (options) => copyFile(path.join(options.dir, 'index.html'), path.join(options.dir, '404.html')),
+}
+
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react(),
-    tailwindcss()],
+    tailwindcss(),
+    spaFallback],
   base: process.env.VITE_BASE_PATH || "/damlchapter05-react-vite",
+  server: { headers: isolationHeaders },
+  preview: { headers: isolationHeaders },
 })